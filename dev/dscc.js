@@ -0,0 +1,49 @@
+// Local stand-in for Looker Studio's dscc library
+// Data comes from the dev page (dev/index.html) through postMessage; interactions are reported back to it
+(function() {
+  'use strict';
+  
+  let callback = null;
+  let latest = null;
+  
+  const post = (message) => {
+    if (window.parent !== window) window.parent.postMessage(message, window.location.origin);
+  };
+  
+  window.dscc = {
+    InteractionType: { FILTER: 'FILTER' },
+    objectTransform: 'objectTransform',
+    tableTransform: 'tableTransform',
+    
+    subscribeToData(cb) {
+      callback = cb;
+      if (latest) cb(latest);
+      
+      // Ask the dev page for the current fixture
+      post({ type: 'dscc:subscribe' });
+      return () => { callback = null; };
+    },
+    
+    sendInteraction(actionId, interaction, data) {
+      post({ type: 'dscc:interaction', actionId, interaction, data });
+    },
+    
+    clearInteraction(actionId, interaction) {
+      post({ type: 'dscc:interaction', actionId, interaction, data: null });
+    },
+    
+    getWidth() {
+      return document.body.clientWidth;
+    },
+    
+    getHeight() {
+      return document.body.clientHeight;
+    }
+  };
+  
+  window.addEventListener('message', (event) => {
+    if (event.origin !== window.location.origin || !event.data || event.data.type !== 'dscc:data') return;
+    latest = event.data.message;
+    if (callback) callback(latest);
+  });
+})();
@@ -0,0 +1,205 @@
+// Dev page controller: loads fixtures, renders the manifest's style panel and feeds both to the viz frame
+(function() {
+  'use strict';
+  
+  // Bundled fixtures in dev/fixtures; any file shaped like data.tables.DEFAULT can also be loaded from disk
+  const FIXTURES = [
+    { id: 'ga4', name: 'GA4 traffic' },
+    { id: 'search-console', name: 'Search Console' },
+    { id: 'google-ads', name: 'Google Ads' },
+    { id: 'empty', name: 'Fields bound, no rows' }
+  ];
+  
+  const frame = document.getElementById('viz');
+  const fixtureSelect = document.getElementById('fixture');
+  const styleContainer = document.getElementById('style');
+  const log = document.getElementById('log');
+  
+  const state = {
+    manifest: null,
+    fixture: null,
+    // Values changed in the style panel, keyed by style element id
+    overrides: {}
+  };
+  
+  // Accept a full dscc message ({ tables, style }) or a bare DEFAULT table ({ dimensions, metrics, rows })
+  const normalizeFixture = (json) => {
+    if (json && json.tables && json.tables.DEFAULT) {
+      return { tables: json.tables, style: json.style || {} };
+    }
+    if (json && Array.isArray(json.rows)) {
+      return { tables: { DEFAULT: json }, style: {} };
+    }
+    throw new Error('Expected { tables: { DEFAULT } } or { dimensions, metrics, rows }');
+  };
+  
+  const getStyleElements = () => {
+    return state.manifest.styleConfig.styleGroups.reduce((elements, group) => {
+      return elements.concat(group.elements);
+    }, []);
+  };
+  
+  // Style entries arrive in the viz as { value, defaultValue }, with value only set when changed in the panel
+  const buildStyle = () => {
+    const fixtureStyle = state.fixture ? state.fixture.style : {};
+    const style = {};
+    
+    getStyleElements().forEach(element => {
+      const entry = { defaultValue: element.defaultValue };
+      const fixtureEntry = fixtureStyle[element.id];
+      
+      if (element.id in state.overrides) {
+        entry.value = state.overrides[element.id];
+      } else if (fixtureEntry && typeof fixtureEntry === 'object' && 'value' in fixtureEntry) {
+        entry.value = fixtureEntry.value;
+      } else if (fixtureEntry !== undefined && typeof fixtureEntry !== 'object') {
+        entry.value = fixtureEntry;
+      }
+      style[element.id] = entry;
+    });
+    
+    return style;
+  };
+  
+  const getStyleValue = (element) => {
+    const entry = buildStyle()[element.id];
+    return entry.value !== undefined ? entry.value : entry.defaultValue;
+  };
+  
+  const send = () => {
+    if (!state.fixture || !frame.contentWindow) return;
+    
+    frame.contentWindow.postMessage({
+      type: 'dscc:data',
+      message: {
+        tables: state.fixture.tables,
+        style: buildStyle(),
+        interactions: {}
+      }
+    }, window.location.origin);
+  };
+  
+  const setOverride = (id, value) => {
+    state.overrides[id] = value;
+    send();
+  };
+  
+  const createControl = (element) => {
+    const label = document.createElement('label');
+    const value = getStyleValue(element);
+    let input;
+    
+    if (element.type === 'CHECKBOX') {
+      label.className = 'checkbox';
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = value !== false;
+      input.addEventListener('change', () => setOverride(element.id, input.checked));
+      label.append(input, element.name);
+      return label;
+    }
+    
+    if (element.type === 'SELECT_SINGLE') {
+      input = document.createElement('select');
+      element.options.forEach(option => {
+        input.add(new Option(option.name, option.id, false, option.id === value));
+      });
+    } else if (element.type === 'TEXTAREA') {
+      input = document.createElement('textarea');
+      input.value = value || '';
+    } else {
+      input = document.createElement('input');
+      input.type = 'text';
+      input.value = value === undefined ? '' : value;
+    }
+    
+    input.addEventListener('change', () => setOverride(element.id, input.value));
+    label.append(element.name, input);
+    return label;
+  };
+  
+  // Mirror Looker Studio's style panel: one collapsible section per manifest style group
+  const renderStylePanel = () => {
+    styleContainer.innerHTML = '';
+    
+    state.manifest.styleConfig.styleGroups.forEach((group, i) => {
+      const details = document.createElement('details');
+      details.open = i === 0;
+      
+      const summary = document.createElement('summary');
+      summary.textContent = group.name;
+      details.appendChild(summary);
+      
+      group.elements.forEach(element => details.appendChild(createControl(element)));
+      styleContainer.appendChild(details);
+    });
+  };
+  
+  const useFixture = (fixture) => {
+    state.fixture = fixture;
+    state.overrides = {};
+    renderStylePanel();
+    send();
+  };
+  
+  const loadFixture = (id) => {
+    return fetch(`/dev/fixtures/${id}.json`)
+      .then(response => {
+        if (!response.ok) throw new Error(`Fixture "${id}" not found`);
+        return response.json();
+      })
+      .then(json => {
+        useFixture(normalizeFixture(json));
+        
+        // Keep the selection in the URL so a reproduction can be shared
+        const url = new URL(window.location.href);
+        url.searchParams.set('fixture', id);
+        window.history.replaceState(null, '', url);
+      })
+      .catch(error => alert(error.message));
+  };
+  
+  const logInteraction = (message) => {
+    const line = `${new Date().toLocaleTimeString()} ${message.actionId} ` +
+      (message.data ? JSON.stringify(message.data) : 'cleared');
+    log.textContent = log.dataset.used ? `${line}\n${log.textContent}` : line;
+    log.dataset.used = 'true';
+  };
+  
+  window.addEventListener('message', (event) => {
+    if (event.origin !== window.location.origin || !event.data) return;
+    
+    // The frame (re)subscribes on every load, including hot reloads after a rebuild
+    if (event.data.type === 'dscc:subscribe') send();
+    if (event.data.type === 'dscc:interaction') logInteraction(event.data);
+  });
+  
+  fixtureSelect.addEventListener('change', () => loadFixture(fixtureSelect.value));
+  
+  document.getElementById('fixtureFile').addEventListener('change', (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    file.text()
+      .then(text => useFixture(normalizeFixture(JSON.parse(text))))
+      .catch(error => alert(`Could not load ${file.name}: ${error.message}`));
+  });
+  
+  document.getElementById('resetStyle').addEventListener('click', () => {
+    state.overrides = {};
+    renderStylePanel();
+    send();
+  });
+  
+  FIXTURES.forEach(fixture => fixtureSelect.add(new Option(fixture.name, fixture.id)));
+  
+  const initial = new URLSearchParams(window.location.search).get('fixture') || FIXTURES[0].id;
+  fixtureSelect.value = initial;
+  
+  fetch('/manifest.json')
+    .then(response => response.json())
+    .then(manifest => {
+      state.manifest = manifest;
+      return loadFixture(initial);
+    });
+})();
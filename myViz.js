@@ -5,27 +5,1630 @@
 (function() {
   'use strict';
   
-  // Load required libraries
-  const loadScript = (url) => {
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = url;
-      script.onload = resolve;
-      script.onerror = reject;
-      document.head.appendChild(script);
+  // Escape text for innerHTML templates; field values, names and messages must render as plain text
+  const escapeHTML = (value) => {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  };
+  
+  // Normalize a field name for loose matching ("Avg. Position" -> "avg position")
+  const normalizeName = (name) => {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  };
+  
+  // Parse a YEAR_MONTH_DAY value (e.g. "20240415") into a local Date
+  const parseDateValue = (value) => {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  };
+  
+  // Format a Date as a sortable YYYYMMDD key
+  const toDateKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}${month}${day}`;
+  };
+  
+  // Format a Date as the YYYY-MM-DD value an <input type="date"> expects
+  const toInputValue = (date) => {
+    const key = toDateKey(date);
+    return `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6)}`;
+  };
+  
+  // Move a date by whole months, clamping to the end of shorter months (Mar 31 -> Feb 28)
+  const addMonths = (date, months) => {
+    const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(date.getDate(), lastDay));
+    return result;
+  };
+  
+  // First day of the ISO week (Monday), month, quarter or year a date falls in
+  const startOfPeriod = (date, granularity) => {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    switch (granularity) {
+      case 'week': return new Date(year, month, date.getDate() - (date.getDay() + 6) % 7);
+      case 'month': return new Date(year, month, 1);
+      case 'quarter': return new Date(year, Math.floor(month / 3) * 3, 1);
+      case 'year': return new Date(year, 0, 1);
+      default: return new Date(year, month, date.getDate());
+    }
+  };
+  
+  // Parse a YEAR_WEEK ("202636", read as an ISO week), YEAR_MONTH ("202609"),
+  // YEAR_QUARTER ("20263") or YEAR ("2026") value into the period's first day
+  const parsePeriodValue = (value, type) => {
+    const match = /^(\d{4})(\d{0,2})$/.exec(String(value || '').replace(/\D/g, ''));
+    if (!match) return null;
+    const year = Number(match[1]);
+    const part = Number(match[2]) || 1;
+    
+    switch (type) {
+      case 'YEAR_WEEK': {
+        // Week 1 is the week containing January 4th
+        const january4 = new Date(year, 0, 4);
+        return new Date(year, 0, 4 - (january4.getDay() + 6) % 7 + (part - 1) * 7);
+      }
+      case 'YEAR_MONTH': return new Date(year, part - 1, 1);
+      case 'YEAR_QUARTER': return new Date(year, (part - 1) * 3, 1);
+      case 'YEAR': return new Date(year, 0, 1);
+      default: return null;
+    }
+  };
+  
+  // Semantic roles the dashboard understands. Each role is resolved to a bound
+  // field by the report editor's explicit mapping (style element "map<Role>"),
+  // then by field name or ID, then by field type (earlier types preferred).
+  const FIELD_ROLES = {
+    date: {
+      concept: 'DIMENSION',
+      label: 'Date',
+      aliases: ['Date', 'Day'],
+      types: ['YEAR_MONTH_DAY', 'YEAR_WEEK', 'YEAR_MONTH', 'YEAR_QUARTER', 'YEAR']
+    },
+    device: {
+      concept: 'DIMENSION',
+      label: 'Device',
+      aliases: ['Device Category', 'Device']
+    },
+    channel: {
+      concept: 'DIMENSION',
+      label: 'Channel',
+      aliases: ['Session Default Channel Group', 'Default Channel Group', 'Channel', 'Session Source', 'Source']
+    },
+    landingPage: {
+      concept: 'DIMENSION',
+      label: 'Landing Page',
+      aliases: ['Landing Page', 'Landing Page + Query String']
+    },
+    page: {
+      concept: 'DIMENSION',
+      label: 'Page',
+      aliases: ['Page Path', 'Page Path + Query String', 'Page Title', 'Page']
+    },
+    eventName: {
+      concept: 'DIMENSION',
+      label: 'Event Name',
+      aliases: ['Event Name', 'Event']
+    },
+    sourceMedium: {
+      concept: 'DIMENSION',
+      label: 'Source / Medium',
+      aliases: ['Session Source / Medium', 'Source / Medium', 'First User Source / Medium']
+    },
+    country: {
+      concept: 'DIMENSION',
+      label: 'Country',
+      aliases: ['Country', 'Country Name']
+    },
+    searchAppearance: {
+      concept: 'DIMENSION',
+      label: 'Search Appearance',
+      aliases: ['Search Appearance', 'Search Type']
+    },
+    query: {
+      concept: 'DIMENSION',
+      label: 'Query',
+      aliases: ['Query', 'Search Query']
+    },
+    campaign: {
+      concept: 'DIMENSION',
+      label: 'Campaign',
+      aliases: ['Campaign', 'Campaign Name', 'Session Campaign']
+    },
+    adGroup: {
+      concept: 'DIMENSION',
+      label: 'Ad Group',
+      aliases: ['Ad Group', 'Ad Group Name']
+    },
+    keyword: {
+      concept: 'DIMENSION',
+      label: 'Keyword',
+      aliases: ['Keyword', 'Keyword Text', 'Search Keyword']
+    },
+    users: {
+      concept: 'METRIC',
+      label: 'Users',
+      aliases: ['Users', 'Total Users', 'Active Users']
+    },
+    newUsers: {
+      concept: 'METRIC',
+      label: 'New Users',
+      aliases: ['New Users', 'First Time Users']
+    },
+    sessions: {
+      concept: 'METRIC',
+      label: 'Sessions',
+      aliases: ['Sessions']
+    },
+    views: {
+      concept: 'METRIC',
+      label: 'Views',
+      aliases: ['Views', 'Screen Page Views', 'Pageviews']
+    },
+    engagementRate: {
+      concept: 'METRIC',
+      label: 'Engagement Rate',
+      aliases: ['Engagement Rate']
+    },
+    engagementTime: {
+      concept: 'METRIC',
+      label: 'Avg. Engagement Time',
+      aliases: ['Avg. Engagement Time', 'Average Engagement Time', 'Engagement Time'],
+      format: 'duration'
+    },
+    eventCount: {
+      concept: 'METRIC',
+      label: 'Event Count',
+      aliases: ['Event Count', 'Events']
+    },
+    keyEvents: {
+      concept: 'METRIC',
+      label: 'Key Events',
+      aliases: ['Key Events', 'GA4 Conversions', 'Goal Completions']
+    },
+    bounceRate: {
+      concept: 'METRIC',
+      label: 'Bounce Rate',
+      aliases: ['Bounce Rate'],
+      lowerIsBetter: true
+    },
+    searchClicks: {
+      concept: 'METRIC',
+      label: 'Search Clicks',
+      aliases: ['Search Clicks', 'Url Clicks', 'Clicks']
+    },
+    searchImpressions: {
+      concept: 'METRIC',
+      label: 'Impressions',
+      aliases: ['Search Impressions', 'Impressions']
+    },
+    searchCtr: {
+      concept: 'METRIC',
+      label: 'CTR',
+      aliases: ['Search CTR', 'Site CTR', 'URL CTR', 'CTR']
+    },
+    position: {
+      concept: 'METRIC',
+      label: 'Avg. Position',
+      aliases: ['Avg. Position', 'Average Position', 'Position'],
+      change: 'absolute',
+      lowerIsBetter: true
+    },
+    adClicks: {
+      concept: 'METRIC',
+      label: 'Ad Clicks',
+      aliases: ['Ad Clicks', 'Ads Clicks']
+    },
+    adImpressions: {
+      concept: 'METRIC',
+      label: 'Ad Impressions',
+      aliases: ['Ad Impressions', 'Ads Impressions', 'Impr.']
+    },
+    adCtr: {
+      concept: 'METRIC',
+      label: 'Ad CTR',
+      aliases: ['Ad CTR', 'Ads CTR']
+    },
+    cost: {
+      concept: 'METRIC',
+      label: 'Ad Spend',
+      aliases: ['Ad Spend', 'Cost', 'Spend'],
+      lowerIsBetter: true
+    },
+    adConversions: {
+      concept: 'METRIC',
+      label: 'Ad Conversions',
+      aliases: ['Ad Conversions', 'Conversions']
+    },
+    costPerConversion: {
+      concept: 'METRIC',
+      label: 'Cost/Conv.',
+      aliases: ['Cost / Conv.', 'Cost/Conv.', 'Cost per Conversion'],
+      lowerIsBetter: true
+    },
+    conversionValue: {
+      concept: 'METRIC',
+      label: 'Conv. Value',
+      aliases: ['Conversion Value', 'Conv. Value', 'All Conv. Value', 'Total Conv. Value']
+    }
+  };
+  
+  // How each metric role combines across rows (days, devices, campaigns, ...):
+  //   sum       counts and amounts are added up; the default for roles not listed
+  //   ratio     recomputed from the totals of two other roles, e.g. CTR = clicks / impressions
+  //   weighted  averaged weighted by another role, e.g. position by impressions
+  // Without its base roles bound, a ratio is weighted by its denominator and a weighted
+  // metric falls back to a plain mean.
+  const METRIC_DEFINITIONS = {
+    engagementRate: { aggregate: 'weighted', weight: 'sessions' },
+    engagementTime: { aggregate: 'weighted', weight: 'users' },
+    bounceRate: { aggregate: 'weighted', weight: 'sessions' },
+    searchCtr: { aggregate: 'ratio', numerator: 'searchClicks', denominator: 'searchImpressions' },
+    position: { aggregate: 'weighted', weight: 'searchImpressions' },
+    adCtr: { aggregate: 'ratio', numerator: 'adClicks', denominator: 'adImpressions' },
+    costPerConversion: { aggregate: 'ratio', numerator: 'cost', denominator: 'adConversions' }
+  };
+  
+  // Style element ID holding the explicit field mapping for a role, e.g. "mapUsers"
+  const getRoleStyleId = (role) => 'map' + role.charAt(0).toUpperCase() + role.slice(1);
+  
+  // Dimension role plotted along each chart's category axis
+  const CHART_DIMENSIONS = {
+    trafficChart: 'date',
+    ga4TrendChart: 'date',
+    ga4EngagementChart: 'channel',
+    gscTrendChart: 'date',
+    adsTrendChart: 'date',
+    gscPositionChart: 'position',
+    gscCountryChart: 'country',
+    gscAppearanceChart: 'searchAppearance',
+    searchChart: 'date',
+    sourceChart: 'channel',
+    deviceChart: 'device',
+    adChart: 'campaign'
+  };
+  
+  // Charts whose elements set a dashboard-wide filter on their dimension when clicked
+  const CROSS_FILTER_CHARTS = ['sourceChart', 'deviceChart', 'adChart'];
+  
+  // Date range presets in menu order. Numeric ones are rolling day counts; all of them
+  // end on the latest date in the data rather than today.
+  const DATE_PRESETS = ['7', '30', '90', '180', '365', 'mtd', 'lastMonth', 'qtd', 'ytd'];
+  
+  // Calendar presets compare with the same span this many months earlier (Sep 1-19 vs Aug 1-19);
+  // rolling and custom ranges compare with the equally long window just before them
+  const CALENDAR_PRESET_MONTHS = { mtd: 1, lastMonth: 1, qtd: 3, ytd: 12 };
+  
+  // Trend chart granularities, finest first
+  const GRANULARITIES = ['day', 'week', 'month', 'quarter'];
+  
+  // Granularity of each date field type; coarser values are stored as their period's first day
+  const DATE_GRANULARITIES = {
+    YEAR_MONTH_DAY: 'day',
+    YEAR_WEEK: 'week',
+    YEAR_MONTH: 'month',
+    YEAR_QUARTER: 'quarter',
+    YEAR: 'year'
+  };
+  
+  // Interaction id declared in manifest.json for sending filters back to Looker Studio
+  const INTERACTION_ID = 'crossFilter';
+  
+  // Typical organic CTR for positions 1-10; anything deeper is assumed to sit around 1%
+  const EXPECTED_CTR_BY_POSITION = [0.28, 0.15, 0.11, 0.08, 0.07, 0.05, 0.04, 0.03, 0.03, 0.025];
+  
+  // Metrics the insight engine compares period over period, and the widget each one links to
+  const INSIGHT_METRICS = {
+    users: 'trafficChart',
+    sessions: 'trafficChart',
+    newUsers: 'ga4TrendChart',
+    views: 'ga4Pages',
+    engagementRate: 'ga4TrendChart',
+    bounceRate: 'landingPages',
+    keyEvents: 'ga4Events',
+    searchClicks: 'gscTrendChart',
+    searchImpressions: 'gscTrendChart',
+    searchCtr: 'gscTrendChart',
+    position: 'gscTrendChart',
+    adClicks: 'adsTrendChart',
+    cost: 'adsTrendChart',
+    adConversions: 'adsTrendChart',
+    conversionValue: 'adsTrendChart'
+  };
+  
+  // Welch's t statistic for the difference between two samples' means; null when too small to test
+  const welchT = (a, b) => {
+    if (a.length < 3 || b.length < 3) return null;
+    
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = (values, m) => values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+    const meanA = mean(a);
+    const meanB = mean(b);
+    const error = Math.sqrt(variance(a, meanA) / a.length + variance(b, meanB) / b.length);
+    return error ? (meanA - meanB) / error : null;
+  };
+  
+  // Flag days that stray from a weekday-adjusted baseline of the previous four weeks.
+  // Takes [{ date, value }] in date order and returns { expected, z } or null per point.
+  const detectAnomalies = (series, threshold = 3) => {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    
+    return series.map((point, i) => {
+      const window = series.slice(Math.max(0, i - 28), i).filter(item => item.value !== null && item.value !== undefined);
+      if (window.length < 14 || point.value === null || point.value === undefined) return null;
+      
+      const baseline = mean(window.map(item => item.value));
+      if (!baseline) return null;
+      
+      // Weekday effect: how each weekday compares with the window as a whole
+      const factors = [0, 1, 2, 3, 4, 5, 6].map(day => {
+        const sameDay = window.filter(item => item.date.getDay() === day);
+        return sameDay.length >= 2 ? mean(sameDay.map(item => item.value)) / baseline : 1;
+      });
+      const expectedFor = (item) => baseline * factors[item.date.getDay()];
+      
+      const residuals = window.map(item => item.value - expectedFor(item));
+      const deviation = Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / (residuals.length - 1));
+      if (!deviation) return null;
+      
+      const expected = expectedFor(point);
+      const z = (point.value - expected) / deviation;
+      return Math.abs(z) >= threshold ? { expected: expected, z: z } : null;
     });
   };
   
-  // Load CSS
-  const loadCSS = (url) => {
-    return new Promise((resolve, reject) => {
-      const link = document.createElement('link');
-      link.rel = 'stylesheet';
-      link.href = url;
-      link.onload = resolve;
-      link.onerror = reject;
-      document.head.appendChild(link);
+  // Daily metrics that can be projected forward; each sums across days so a projected total makes sense.
+  // Users are left out: the same user counts on every day they visit, so daily users don't add up to a period total.
+  const FORECAST_ROLES = ['sessions', 'searchClicks', 'searchImpressions', 'cost'];
+  
+  // Linear trend plus weekly seasonality, fitted by least squares on up to eight weeks of
+  // [{ date, value }] history and projected daily from `from` to `to` with a 95% band.
+  const forecastSeries = (history, from, to) => {
+    const points = history.filter(item => item.value !== null && item.value !== undefined).slice(-56);
+    if (points.length < 14) return null;
+    
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const origin = points[0].date;
+    const dayIndex = (date) => Math.round((date - origin) / 86400000);
+    
+    const xs = points.map(item => dayIndex(item.date));
+    const meanX = mean(xs);
+    const meanY = mean(points.map(item => item.value));
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    const slope = sxx ? points.reduce((sum, item, i) => sum + (xs[i] - meanX) * (item.value - meanY), 0) / sxx : 0;
+    const intercept = meanY - slope * meanX;
+    
+    // Weekday effect: the average residual from the trend on each day of the week
+    const trendResidual = (item) => item.value - (intercept + slope * dayIndex(item.date));
+    const seasonal = [0, 1, 2, 3, 4, 5, 6].map(day => {
+      const residuals = points.filter(item => item.date.getDay() === day).map(trendResidual);
+      return residuals.length ? mean(residuals) : 0;
     });
+    const fitted = (date) => intercept + slope * dayIndex(date) + seasonal[date.getDay()];
+    
+    const sigma = Math.sqrt(points.reduce((sum, item) => sum + (item.value - fitted(item.date)) ** 2, 0) / Math.max(points.length - 2, 1));
+    
+    const forecast = [];
+    for (const date = new Date(from); toDateKey(date) <= toDateKey(to); date.setDate(date.getDate() + 1)) {
+      const x = dayIndex(date);
+      const value = Math.max(fitted(date), 0);
+      const spread = 1.96 * sigma * Math.sqrt(1 + 1 / points.length + (sxx ? (x - meanX) ** 2 / sxx : 0));
+      forecast.push({ date: new Date(date), value: value, lower: Math.max(value - spread, 0), upper: value + spread });
+    }
+    
+    return { points: forecast, sigma: sigma };
+  };
+  
+  // Chart.js plugin drawing manual annotations (chart.data.annotations) as labelled vertical lines
+  const annotationPlugin = {
+    id: 'dashboardAnnotations',
+    afterDatasetsDraw(chart, args, options) {
+      const annotations = chart.data.annotations || [];
+      const area = chart.chartArea;
+      const ctx = chart.ctx;
+      
+      annotations.forEach((annotation, i) => {
+        const x = chart.scales.x.getPixelForValue(annotation.value);
+        const alignRight = x > area.right - 100;
+        
+        ctx.save();
+        ctx.strokeStyle = options.color;
+        ctx.fillStyle = options.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, area.top);
+        ctx.lineTo(x, area.bottom);
+        ctx.stroke();
+        
+        // Stagger labels so neighbouring annotations don't overlap
+        ctx.font = "10px 'Inter', sans-serif";
+        ctx.textAlign = alignRight ? 'right' : 'left';
+        ctx.fillText(annotation.label, x + (alignRight ? -4 : 4), area.top + 10 + (i % 3) * 12);
+        ctx.restore();
+      });
+    }
+  };
+  
+  // CSS pixel size charts are redrawn at for the PDF export
+  const PDF_CHART_SIZE = { width: 800, height: 360 };
+  
+  // jsPDF's Helvetica only covers Latin script; these languages use the font src/globals.js registers
+  const PDF_FONTS = { ar: 'NotoSansArabic', fa: 'NotoSansArabic', ur: 'NotoSansArabic' };
+  
+  // Search position buckets for the ranking distribution
+  const POSITION_BUCKETS = [
+    { label: '1–3', max: 3 },
+    { label: '4–10', max: 10 },
+    { label: '11–20', max: 20 },
+    { label: '21+', max: Infinity }
+  ];
+  
+  // Design tokens per theme; the stylesheet reads them as --dash-* custom properties
+  const THEMES = {
+    light: {
+      background: '#f9fafb',
+      surface: '#ffffff',
+      surfaceMuted: '#f3f4f6',
+      border: '#e5e7eb',
+      text: '#1f2937',
+      textMuted: '#6b7280',
+      textSubtle: '#9ca3af',
+      accent: '#2563eb',
+      accentSurface: '#eff6ff',
+      positiveSurface: '#ecfdf5',
+      negativeSurface: '#fef2f2',
+      warningSurface: '#fffbeb',
+      anomaly: '#dc2626',
+      annotation: '#4b5563',
+      grid: 'rgba(0, 0, 0, 0.1)',
+      tooltipBackground: 'rgba(17, 24, 39, 0.8)',
+      tooltipText: '#ffffff'
+    },
+    dark: {
+      background: '#111827',
+      surface: '#1f2937',
+      surfaceMuted: '#374151',
+      border: '#374151',
+      text: '#f3f4f6',
+      textMuted: '#9ca3af',
+      textSubtle: '#6b7280',
+      accent: '#60a5fa',
+      accentSurface: 'rgba(96, 165, 250, 0.15)',
+      positiveSurface: 'rgba(16, 185, 129, 0.15)',
+      negativeSurface: 'rgba(220, 38, 38, 0.15)',
+      warningSurface: 'rgba(245, 158, 11, 0.15)',
+      anomaly: '#f87171',
+      annotation: '#d1d5db',
+      grid: 'rgba(255, 255, 255, 0.1)',
+      tooltipBackground: 'rgba(243, 244, 246, 0.95)',
+      tooltipText: '#111827'
+    }
+  };
+  
+  // Chart series colors as "r, g, b" so each chart picks its own opacity
+  const PALETTES = {
+    default: ['59, 130, 246', '16, 185, 129', '245, 158, 11', '236, 72, 153', '139, 92, 246', '220, 38, 38'],
+    colorful: ['99, 102, 241', '20, 184, 166', '249, 115, 22', '236, 72, 153', '132, 204, 22', '168, 85, 247', '14, 165, 233', '234, 179, 8'],
+    monochrome: ['30, 64, 175', '96, 165, 250', '37, 99, 235', '147, 197, 253', '29, 78, 216', '191, 219, 254']
+  };
+  
+  // Maps the markup's Tailwind color utilities onto the theme tokens
+  const THEME_CSS = `
+    .marketing-dashboard { background-color: var(--dash-background); color: var(--dash-text); font-family: 'Inter', sans-serif; }
+    .marketing-dashboard .card { background-color: var(--dash-surface); border: 1px solid var(--dash-border); border-radius: 0.5rem; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.05); }
+    .marketing-dashboard table th { color: var(--dash-text-muted); font-size: 0.75rem; font-weight: 500; text-align: start; padding: 0.5rem; border-bottom: 1px solid var(--dash-border); }
+    .marketing-dashboard table th[aria-sort="descending"]::after { content: ' \\25BC'; }
+    .marketing-dashboard table th[aria-sort="ascending"]::after { content: ' \\25B2'; }
+    .marketing-dashboard table td { font-size: 0.875rem; padding: 0.5rem; border-bottom: 1px solid var(--dash-border); }
+    .marketing-dashboard .tab-active { color: var(--dash-accent); border-bottom: 2px solid var(--dash-accent); }
+    .marketing-dashboard .bg-white, .marketing-dashboard select, .marketing-dashboard input { background-color: var(--dash-surface); color: var(--dash-text); }
+    .marketing-dashboard .bg-gray-50, .marketing-dashboard .bg-gray-100, .marketing-dashboard .hover\\:bg-gray-50:hover { background-color: var(--dash-surface-muted); }
+    .marketing-dashboard .bg-blue-50, .marketing-dashboard .from-blue-50, .marketing-dashboard .to-indigo-50 { background-color: var(--dash-accent-surface); background-image: none; }
+    .marketing-dashboard .bg-green-50, .marketing-dashboard .bg-green-100 { background-color: var(--dash-positive-surface); }
+    .marketing-dashboard .bg-red-50, .marketing-dashboard .bg-red-100 { background-color: var(--dash-negative-surface); }
+    .marketing-dashboard .bg-yellow-50, .marketing-dashboard .bg-yellow-100 { background-color: var(--dash-warning-surface); }
+    .marketing-dashboard .border-gray-100, .marketing-dashboard .border-gray-200, .marketing-dashboard .border-gray-300, .marketing-dashboard .border-blue-100, .marketing-dashboard .divide-gray-100 > * + * { border-color: var(--dash-border); }
+    .marketing-dashboard .text-gray-800, .marketing-dashboard .text-gray-700, .marketing-dashboard .hover\\:text-gray-700:hover { color: var(--dash-text); }
+    .marketing-dashboard .text-gray-600, .marketing-dashboard .text-gray-500 { color: var(--dash-text-muted); }
+    .marketing-dashboard .text-gray-400, .marketing-dashboard .text-gray-300 { color: var(--dash-text-subtle); }
+    .marketing-dashboard .text-blue-600, .marketing-dashboard .text-blue-800 { color: var(--dash-accent); }
+    .marketing-dashboard .bg-gray-700 { background-color: var(--dash-text); }
+  `;
+  
+  // Languages written right to left; the dashboard mirrors its layout for these
+  const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+  
+  // UI strings by language. English is the source and fills in any key a language lacks;
+  // role.* entries translate FIELD_ROLES labels, which are the English names already.
+  const MESSAGES = {
+    en: {
+      'header.title': 'Digital Marketing Analytics Dashboard',
+      'header.subtitle': 'Comprehensive overview of website performance and marketing campaigns',
+      'range.7': 'Last 7 days',
+      'range.30': 'Last 30 days',
+      'range.90': 'Last 90 days',
+      'range.180': 'Last 6 months',
+      'range.365': 'Last 12 months',
+      'range.mtd': 'Month to date',
+      'range.lastMonth': 'Last month',
+      'range.qtd': 'Quarter to date',
+      'range.ytd': 'Year to date',
+      'range.custom': 'Custom range…',
+      'range.start': 'Start date',
+      'range.end': 'End date',
+      'device.all': 'All Devices',
+      'device.desktop': 'Desktop',
+      'device.mobile': 'Mobile',
+      'device.tablet': 'Tablet',
+      'filter.deviceUnbound': 'Bind a Device Category dimension to filter by device',
+      'filter.filteredBy': 'Filtered by',
+      'filter.remove': 'Remove filter',
+      'filter.clearAll': 'Clear all',
+      'export.pdf': 'Export PDF',
+      'comparison.vs': 'vs',
+      'comparison.previous': 'Previous period',
+      'comparison.year': 'Same period last year',
+      'comparison.show': 'Show comparison',
+      'comparison.hide': 'Hide comparison',
+      'tab.overview': 'Overview',
+      'tab.ga4': 'Google Analytics',
+      'tab.gsc': 'Search Console',
+      'tab.ads': 'Google Ads',
+      'chart.trafficChart': 'Traffic Over Time',
+      'chart.searchChart': 'Search Clicks & Impressions',
+      'chart.sourceChart': 'Traffic by Source',
+      'chart.deviceChart': 'Users by Device',
+      'chart.adChart': 'Ad Performance',
+      'chart.ga4TrendChart': 'Users, Sessions & Engagement',
+      'chart.ga4EngagementChart': 'Engagement by Channel',
+      'chart.gscTrendChart': 'Clicks, Impressions, CTR & Position',
+      'chart.gscPositionChart': 'Ranking Distribution',
+      'chart.gscCountryChart': 'Clicks by Country',
+      'chart.gscAppearanceChart': 'Clicks by Search Appearance',
+      'chart.adsTrendChart': 'Spend, Clicks, Conversions & ROAS',
+      'comparison.label.previous': 'previous period',
+      'comparison.label.year': 'same period last year',
+      'kpi.unmapped': 'Unmapped · no metric bound',
+      'kpi.noComparison': 'No data for {comparison}',
+      'kpi.versus': 'vs {comparison}',
+      'kpi.projected': 'Projected {period} total:',
+      'column.users': 'Users',
+      'column.bounceRate': 'Bounce Rate',
+      'column.avgTime': 'Avg. Time',
+      'column.clicks': 'Clicks',
+      'column.impressions': 'Impressions',
+      'column.ctr': 'CTR',
+      'column.position': 'Position',
+      'column.cost': 'Cost',
+      'column.conversions': 'Conversions',
+      'column.costPerConversion': 'Cost/Conv.',
+      'column.views': 'Views',
+      'column.engagement': 'Engagement',
+      'column.events': 'Events',
+      'column.keyEvents': 'Key Events',
+      'column.sessions': 'Sessions',
+      'column.newUsers': 'New Users',
+      'column.engagementRate': 'Engagement Rate',
+      'column.conversionValue': 'Conv. Value',
+      'table.landingPages': 'Top Landing Pages',
+      'table.searchQueries': 'Top Search Queries',
+      'table.adCampaigns': 'Top Ad Campaigns',
+      'table.gscQueries': 'Queries',
+      'table.gscPages': 'Pages',
+      'table.ga4Pages': 'Top Pages',
+      'table.ga4Events': 'Events & Key Events',
+      'table.ga4SourceMedium': 'Source / Medium Attribution',
+      'column.page': 'Page',
+      'column.query': 'Query',
+      'column.campaign': 'Campaign',
+      'column.event': 'Event',
+      'column.sourceMedium': 'Source / Medium',
+      'table.gscPages.note': 'Highlighted rows have a CTR well below (amber) or above (green) what is typical for their average position.',
+      'drilldown.campaign.title': 'Campaigns',
+      'drilldown.campaign.all': 'All campaigns',
+      'drilldown.adGroup.title': 'Ad Groups',
+      'drilldown.adGroup.all': 'All ad groups',
+      'drilldown.adGroup.in': 'Ad Groups in {parent}',
+      'drilldown.adGroup.hint': 'Click a row to see its ad groups.',
+      'drilldown.keyword.title': 'Keywords',
+      'drilldown.keyword.in': 'Keywords in {parent}',
+      'drilldown.keyword.hint': 'Click a row to see its keywords.',
+      'table.unbound': 'Bind a {dimension} dimension and at least one metric to see this table',
+      'table.search': 'Search {dimensionLower}…',
+      'table.noMatches': 'No rows match your search',
+      'table.noData': 'No data for this period',
+      'table.range': '{from}–{to} of {total}',
+      'table.previous': 'Previous',
+      'table.next': 'Next',
+      'export.data': 'Export data',
+      'export.csv': 'Download CSV',
+      'export.xlsx': 'Download XLSX',
+      'export.failed': 'Data export failed: {message}',
+      'insight.title': 'Insights',
+      'insight.ranked': 'Ranked by impact for {period}',
+      'insight.none': 'No notable changes or outliers in this period.',
+      'insight.view': 'View →',
+      'insight.metric.up': '{metric} up {amount}: {now} vs {before} in the {comparison}{note}.',
+      'insight.metric.down': '{metric} down {amount}: {now} vs {before} in the {comparison}{note}.',
+      'insight.metric.upFlat': '{metric} up: {now} vs {before} in the {comparison}{note}.',
+      'insight.metric.downFlat': '{metric} down: {now} vs {before} in the {comparison}{note}.',
+      'insight.metric.significant': ' — a statistically notable shift in the daily average (t = {t})',
+      'insight.channel': '{channel} drove the largest change in {metricLower}: {delta} ({change}) vs the {comparison}.',
+      'insight.bounce.high': '"{page}" has an unusually high bounce rate of {rate} against a {average} page average. Check that its content matches what visitors expect.',
+      'insight.bounce.low': '"{page}" holds visitors unusually well, with a {rate} bounce rate against a {average} page average. Consider creating more pages like it.',
+      'insight.cpa.best': '{campaign} has the lowest cost per conversion at {value}, {gap} below the {average} average.',
+      'insight.cpa.worst': '{campaign} has the highest cost per conversion at {value}, {gap} above average. Consider shifting budget toward {best}.',
+      'insight.ctr': '"{query}" earns {impressions} impressions at position {position} but only a {ctr} CTR, where about {expected} is typical. A sharper title and description could add roughly {clicks} clicks.{more}',
+      'insight.ctr.moreOne': ' {count} more query shows the same pattern.',
+      'insight.ctr.moreMany': ' {count} more queries show the same pattern.',
+      'pacing.title': 'Budget Pacing',
+      'pacing.unbound': 'Bind a date dimension and Ad Spend to track budget pacing',
+      'pacing.noBudget': 'Set a monthly budget in the Google Ads style options to track pacing',
+      'pacing.invalidBudget': '"{value}" is not a valid monthly budget. Enter a plain number such as 15000 or 15000.50',
+      'pacing.over': 'Overspending',
+      'pacing.under': 'Underspending',
+      'pacing.onTrack': 'On track',
+      'pacing.day': 'day {day} of {days}',
+      'pacing.ofBudget': 'of {budget}',
+      'pacing.expectedMarker': 'Expected spend to date',
+      'pacing.expected': 'Expected to date',
+      'pacing.projected': 'Projected month',
+      'pacing.remaining': 'Remaining / day',
+      'leaderboard.title': 'Cost per Conversion',
+      'leaderboard.unbound': 'Bind a campaign dimension, Ad Spend and Ad Conversions to rank campaigns',
+      'leaderboard.noConversions': 'No conversions',
+      'leaderboard.conversions': '{count} conv.',
+      'leaderboard.noSpend': 'No spend in this period',
+      'footer': 'Last updated: {date} • Data sources: Google Analytics 4, Google Search Console, Google Ads',
+      'chart.trafficChart.unbound': 'Bind a date dimension and Users or Sessions to see traffic over time',
+      'chart.searchChart.unbound': 'Bind a date dimension and Clicks or Impressions to see search performance',
+      'chart.sourceChart.unbound': 'Bind a channel or source dimension and Sessions to see traffic by source',
+      'chart.deviceChart.unbound': 'Bind a device category dimension and Users to see the device split',
+      'chart.adChart.unbound': 'Bind a campaign dimension and Ad Clicks or Conversions to see ad performance',
+      'chart.ga4TrendChart.unbound': 'Bind a date dimension and Users, New Users, Sessions or Engagement Rate to see GA4 trends',
+      'chart.ga4EngagementChart.unbound': 'Bind a channel dimension and Engagement Rate or Avg. Engagement Time to see the engagement breakdown',
+      'chart.gscTrendChart.unbound': 'Bind a date dimension and Clicks, Impressions, CTR or Position to see the search trend',
+      'chart.gscPositionChart.unbound': 'Bind a query or page dimension and Avg. Position to see the ranking distribution',
+      'chart.gscCountryChart.unbound': 'Bind a country dimension and Clicks or Impressions to see the country breakdown',
+      'chart.gscAppearanceChart.unbound': 'Bind a search appearance dimension and Clicks or Impressions to see the appearance breakdown',
+      'chart.adsTrendChart.unbound': 'Bind a date dimension and Ad Spend, Ad Clicks or Ad Conversions to see the Ads trend',
+      'forecast.label': '{metric} (forecast)',
+      'forecast.high': '{metric} forecast (high)',
+      'forecast.low': '{metric} forecast (low)',
+      'forecast.quarter': 'Q{quarter}',
+      'forecast.range': '95% range: {lower} – {upper}',
+      'granularity.label': 'Group by',
+      'granularity.day': 'Day',
+      'granularity.week': 'Week',
+      'granularity.month': 'Month',
+      'granularity.quarter': 'Quarter',
+      'granularity.weekOf': 'Week of {date}',
+      'granularity.quarterOf': 'Q{quarter} {year}',
+      'anomaly.tooltip': '⚠ Anomaly: {actual} actual vs ~{expected} expected',
+      'chart.roas': 'ROAS',
+      'chart.roasValue': '{value}×',
+      'axis.clicks': 'Clicks',
+      'axis.impressions': 'Impressions',
+      'axis.conversions': 'Conversions',
+      'axis.engagementRate': 'Engagement Rate',
+      'axis.spend': 'Spend',
+      'axis.clicksConversions': 'Clicks / Conversions',
+      'export.exporting': 'Exporting…',
+      'export.pdfFailed': 'PDF export failed: {message}',
+      'pdf.period': 'Period',
+      'pdf.devices': 'Devices',
+      'pdf.comparedWith': 'Compared with',
+      'pdf.page': 'Page {page} of {count}',
+      'error.title': 'Error',
+      'error.libraries': 'Failed to load required libraries',
+      'error.render': 'Error rendering dashboard: {message}',
+      'pdf.comparison': '{current}  vs  {previous} ({comparison})',
+      'export.label': 'Label',
+      'export.value': 'Value'
+    },
+    de: {
+      'role.date': 'Datum',
+      'role.device': 'Gerät',
+      'role.channel': 'Channel',
+      'role.landingPage': 'Landingpage',
+      'role.page': 'Seite',
+      'role.eventName': 'Ereignisname',
+      'role.sourceMedium': 'Quelle / Medium',
+      'role.country': 'Land',
+      'role.searchAppearance': 'Darstellung in der Suche',
+      'role.query': 'Suchanfrage',
+      'role.campaign': 'Kampagne',
+      'role.adGroup': 'Anzeigengruppe',
+      'role.keyword': 'Keyword',
+      'role.users': 'Nutzer',
+      'role.newUsers': 'Neue Nutzer',
+      'role.sessions': 'Sitzungen',
+      'role.views': 'Aufrufe',
+      'role.engagementRate': 'Interaktionsrate',
+      'role.engagementTime': 'Ø Interaktionszeit',
+      'role.eventCount': 'Anzahl der Ereignisse',
+      'role.keyEvents': 'Schlüsselereignisse',
+      'role.bounceRate': 'Absprungrate',
+      'role.searchClicks': 'Suchklicks',
+      'role.searchImpressions': 'Impressionen',
+      'role.searchCtr': 'CTR',
+      'role.position': 'Ø Position',
+      'role.adClicks': 'Anzeigenklicks',
+      'role.adImpressions': 'Anzeigenimpressionen',
+      'role.adCtr': 'Anzeigen-CTR',
+      'role.cost': 'Anzeigenkosten',
+      'role.adConversions': 'Anzeigen-Conversions',
+      'role.costPerConversion': 'Kosten/Conv.',
+      'role.conversionValue': 'Conv.-Wert',
+      'header.title': 'Digital-Marketing-Dashboard',
+      'header.subtitle': 'Umfassender Überblick über Website-Performance und Marketingkampagnen',
+      'range.7': 'Letzte 7 Tage',
+      'range.30': 'Letzte 30 Tage',
+      'range.90': 'Letzte 90 Tage',
+      'range.180': 'Letzte 6 Monate',
+      'range.365': 'Letzte 12 Monate',
+      'range.mtd': 'Monat bis heute',
+      'range.lastMonth': 'Letzter Monat',
+      'range.qtd': 'Quartal bis heute',
+      'range.ytd': 'Jahr bis heute',
+      'range.custom': 'Benutzerdefiniert…',
+      'range.start': 'Startdatum',
+      'range.end': 'Enddatum',
+      'device.all': 'Alle Geräte',
+      'device.desktop': 'Desktop',
+      'device.mobile': 'Mobil',
+      'device.tablet': 'Tablet',
+      'filter.deviceUnbound': 'Binden Sie eine Gerätekategorie-Dimension, um nach Gerät zu filtern',
+      'filter.filteredBy': 'Gefiltert nach',
+      'filter.remove': 'Filter entfernen',
+      'filter.clearAll': 'Alle entfernen',
+      'export.pdf': 'PDF exportieren',
+      'comparison.vs': 'vs.',
+      'comparison.previous': 'Vorheriger Zeitraum',
+      'comparison.year': 'Gleicher Zeitraum im Vorjahr',
+      'comparison.show': 'Vergleich anzeigen',
+      'comparison.hide': 'Vergleich ausblenden',
+      'tab.overview': 'Übersicht',
+      'tab.ga4': 'Google Analytics',
+      'tab.gsc': 'Search Console',
+      'tab.ads': 'Google Ads',
+      'chart.trafficChart': 'Traffic im Zeitverlauf',
+      'chart.searchChart': 'Suchklicks & Impressionen',
+      'chart.sourceChart': 'Traffic nach Quelle',
+      'chart.deviceChart': 'Nutzer nach Gerät',
+      'chart.adChart': 'Anzeigenleistung',
+      'chart.ga4TrendChart': 'Nutzer, Sitzungen & Interaktion',
+      'chart.ga4EngagementChart': 'Interaktion nach Channel',
+      'chart.gscTrendChart': 'Klicks, Impressionen, CTR & Position',
+      'chart.gscPositionChart': 'Ranking-Verteilung',
+      'chart.gscCountryChart': 'Klicks nach Land',
+      'chart.gscAppearanceChart': 'Klicks nach Darstellung in der Suche',
+      'chart.adsTrendChart': 'Kosten, Klicks, Conversions & ROAS',
+      'comparison.label.previous': 'vorherigen Zeitraum',
+      'comparison.label.year': 'gleichen Zeitraum im Vorjahr',
+      'kpi.unmapped': 'Nicht zugeordnet · kein Messwert gebunden',
+      'kpi.noComparison': 'Keine Daten für den {comparison}',
+      'kpi.versus': 'vs. {comparison}',
+      'kpi.projected': 'Prognose für {period} gesamt:',
+      'column.users': 'Nutzer',
+      'column.bounceRate': 'Absprungrate',
+      'column.avgTime': 'Ø Zeit',
+      'column.clicks': 'Klicks',
+      'column.impressions': 'Impressionen',
+      'column.ctr': 'CTR',
+      'column.position': 'Position',
+      'column.cost': 'Kosten',
+      'column.conversions': 'Conversions',
+      'column.costPerConversion': 'Kosten/Conv.',
+      'column.views': 'Aufrufe',
+      'column.engagement': 'Interaktion',
+      'column.events': 'Ereignisse',
+      'column.keyEvents': 'Schlüsselereignisse',
+      'column.sessions': 'Sitzungen',
+      'column.newUsers': 'Neue Nutzer',
+      'column.engagementRate': 'Interaktionsrate',
+      'column.conversionValue': 'Conv.-Wert',
+      'table.landingPages': 'Top-Landingpages',
+      'table.searchQueries': 'Top-Suchanfragen',
+      'table.adCampaigns': 'Top-Anzeigenkampagnen',
+      'table.gscQueries': 'Suchanfragen',
+      'table.gscPages': 'Seiten',
+      'table.ga4Pages': 'Top-Seiten',
+      'table.ga4Events': 'Ereignisse & Schlüsselereignisse',
+      'table.ga4SourceMedium': 'Quelle / Medium-Attribution',
+      'column.page': 'Seite',
+      'column.query': 'Suchanfrage',
+      'column.campaign': 'Kampagne',
+      'column.event': 'Ereignis',
+      'column.sourceMedium': 'Quelle / Medium',
+      'table.gscPages.note': 'Hervorgehobene Zeilen haben eine CTR deutlich unter (gelb) oder über (grün) dem für ihre durchschnittliche Position üblichen Wert.',
+      'drilldown.campaign.title': 'Kampagnen',
+      'drilldown.campaign.all': 'Alle Kampagnen',
+      'drilldown.adGroup.title': 'Anzeigengruppen',
+      'drilldown.adGroup.all': 'Alle Anzeigengruppen',
+      'drilldown.adGroup.in': 'Anzeigengruppen in {parent}',
+      'drilldown.adGroup.hint': 'Klicken Sie auf eine Zeile, um ihre Anzeigengruppen zu sehen.',
+      'drilldown.keyword.title': 'Keywords',
+      'drilldown.keyword.in': 'Keywords in {parent}',
+      'drilldown.keyword.hint': 'Klicken Sie auf eine Zeile, um ihre Keywords zu sehen.',
+      'table.unbound': 'Binden Sie eine Dimension „{dimension}“ und mindestens einen Messwert, um diese Tabelle zu sehen',
+      'table.search': '{dimension} suchen…',
+      'table.noMatches': 'Keine Zeilen entsprechen Ihrer Suche',
+      'table.noData': 'Keine Daten für diesen Zeitraum',
+      'table.range': '{from}–{to} von {total}',
+      'table.previous': 'Zurück',
+      'table.next': 'Weiter',
+      'export.data': 'Daten exportieren',
+      'export.csv': 'CSV herunterladen',
+      'export.xlsx': 'XLSX herunterladen',
+      'export.failed': 'Datenexport fehlgeschlagen: {message}',
+      'insight.title': 'Erkenntnisse',
+      'insight.ranked': 'Nach Wirkung sortiert für {period}',
+      'insight.none': 'Keine nennenswerten Veränderungen oder Ausreißer in diesem Zeitraum.',
+      'insight.view': 'Ansehen →',
+      'insight.metric.up': '{metric} um {amount} gestiegen: {now} gegenüber {before} im {comparison}{note}.',
+      'insight.metric.down': '{metric} um {amount} gesunken: {now} gegenüber {before} im {comparison}{note}.',
+      'insight.metric.upFlat': '{metric} gestiegen: {now} gegenüber {before} im {comparison}{note}.',
+      'insight.metric.downFlat': '{metric} gesunken: {now} gegenüber {before} im {comparison}{note}.',
+      'insight.metric.significant': ' – eine statistisch auffällige Verschiebung des Tagesdurchschnitts (t = {t})',
+      'insight.channel': '{channel} hat die größte Veränderung bei {metric} bewirkt: {delta} ({change}) gegenüber dem {comparison}.',
+      'insight.bounce.high': '„{page}“ hat eine ungewöhnlich hohe Absprungrate von {rate} bei einem Seitendurchschnitt von {average}. Prüfen Sie, ob der Inhalt den Erwartungen der Besucher entspricht.',
+      'insight.bounce.low': '„{page}“ hält Besucher ungewöhnlich gut, mit einer Absprungrate von {rate} bei einem Seitendurchschnitt von {average}. Erstellen Sie weitere Seiten dieser Art.',
+      'insight.cpa.best': '{campaign} hat mit {value} die niedrigsten Kosten pro Conversion, {gap} unter dem Durchschnitt von {average}.',
+      'insight.cpa.worst': '{campaign} hat mit {value} die höchsten Kosten pro Conversion, {gap} über dem Durchschnitt. Erwägen Sie, Budget zu {best} zu verlagern.',
+      'insight.ctr': '„{query}“ erzielt {impressions} Impressionen auf Position {position}, aber nur eine CTR von {ctr}, wo etwa {expected} üblich sind. Ein prägnanterer Titel und eine bessere Beschreibung könnten rund {clicks} zusätzliche Klicks bringen.{more}',
+      'insight.ctr.moreOne': ' {count} weitere Suchanfrage zeigt dasselbe Muster.',
+      'insight.ctr.moreMany': ' {count} weitere Suchanfragen zeigen dasselbe Muster.',
+      'pacing.title': 'Budget-Pacing',
+      'pacing.unbound': 'Binden Sie eine Datumsdimension und Anzeigenkosten, um das Budget-Pacing zu verfolgen',
+      'pacing.noBudget': 'Legen Sie in den Google-Ads-Stiloptionen ein Monatsbudget fest, um das Pacing zu verfolgen',
+      'pacing.invalidBudget': '„{value}“ ist kein gültiges Monatsbudget. Geben Sie eine einfache Zahl wie 15000 oder 15000.50 ein',
+      'pacing.over': 'Überschreitung',
+      'pacing.under': 'Unterschreitung',
+      'pacing.onTrack': 'Im Plan',
+      'pacing.day': 'Tag {day} von {days}',
+      'pacing.ofBudget': 'von {budget}',
+      'pacing.expectedMarker': 'Erwartete Ausgaben bis heute',
+      'pacing.expected': 'Erwartet bis heute',
+      'pacing.projected': 'Prognose Monat',
+      'pacing.remaining': 'Verbleibend / Tag',
+      'leaderboard.title': 'Kosten pro Conversion',
+      'leaderboard.unbound': 'Binden Sie eine Kampagnendimension, Anzeigenkosten und Anzeigen-Conversions, um Kampagnen zu vergleichen',
+      'leaderboard.noConversions': 'Keine Conversions',
+      'leaderboard.conversions': '{count} Conv.',
+      'leaderboard.noSpend': 'Keine Ausgaben in diesem Zeitraum',
+      'footer': 'Zuletzt aktualisiert: {date} • Datenquellen: Google Analytics 4, Google Search Console, Google Ads',
+      'chart.trafficChart.unbound': 'Binden Sie eine Datumsdimension und Nutzer oder Sitzungen, um den Traffic im Zeitverlauf zu sehen',
+      'chart.searchChart.unbound': 'Binden Sie eine Datumsdimension und Klicks oder Impressionen, um die Suchleistung zu sehen',
+      'chart.sourceChart.unbound': 'Binden Sie eine Channel- oder Quellendimension und Sitzungen, um den Traffic nach Quelle zu sehen',
+      'chart.deviceChart.unbound': 'Binden Sie eine Gerätekategorie-Dimension und Nutzer, um die Geräteaufteilung zu sehen',
+      'chart.adChart.unbound': 'Binden Sie eine Kampagnendimension und Anzeigenklicks oder Conversions, um die Anzeigenleistung zu sehen',
+      'chart.ga4TrendChart.unbound': 'Binden Sie eine Datumsdimension und Nutzer, neue Nutzer, Sitzungen oder Interaktionsrate, um GA4-Trends zu sehen',
+      'chart.ga4EngagementChart.unbound': 'Binden Sie eine Channel-Dimension und Interaktionsrate oder Ø Interaktionszeit, um die Interaktion aufgeschlüsselt zu sehen',
+      'chart.gscTrendChart.unbound': 'Binden Sie eine Datumsdimension und Klicks, Impressionen, CTR oder Position, um den Suchtrend zu sehen',
+      'chart.gscPositionChart.unbound': 'Binden Sie eine Suchanfrage- oder Seitendimension und Ø Position, um die Ranking-Verteilung zu sehen',
+      'chart.gscCountryChart.unbound': 'Binden Sie eine Länderdimension und Klicks oder Impressionen, um die Aufteilung nach Land zu sehen',
+      'chart.gscAppearanceChart.unbound': 'Binden Sie eine Dimension für die Darstellung in der Suche und Klicks oder Impressionen, um die Aufteilung zu sehen',
+      'chart.adsTrendChart.unbound': 'Binden Sie eine Datumsdimension und Anzeigenkosten, Anzeigenklicks oder Anzeigen-Conversions, um den Ads-Trend zu sehen',
+      'forecast.label': '{metric} (Prognose)',
+      'forecast.high': '{metric} Prognose (hoch)',
+      'forecast.low': '{metric} Prognose (niedrig)',
+      'forecast.quarter': 'Q{quarter}',
+      'forecast.range': '95-%-Bereich: {lower} – {upper}',
+      'granularity.label': 'Gruppieren nach',
+      'granularity.day': 'Tag',
+      'granularity.week': 'Woche',
+      'granularity.month': 'Monat',
+      'granularity.quarter': 'Quartal',
+      'granularity.weekOf': 'Woche ab {date}',
+      'granularity.quarterOf': 'Q{quarter} {year}',
+      'anomaly.tooltip': '⚠ Anomalie: {actual} tatsächlich vs. ~{expected} erwartet',
+      'chart.roas': 'ROAS',
+      'chart.roasValue': '{value}×',
+      'axis.clicks': 'Klicks',
+      'axis.impressions': 'Impressionen',
+      'axis.conversions': 'Conversions',
+      'axis.engagementRate': 'Interaktionsrate',
+      'axis.spend': 'Kosten',
+      'axis.clicksConversions': 'Klicks / Conversions',
+      'export.exporting': 'Wird exportiert…',
+      'export.pdfFailed': 'PDF-Export fehlgeschlagen: {message}',
+      'pdf.period': 'Zeitraum',
+      'pdf.devices': 'Geräte',
+      'pdf.comparedWith': 'Verglichen mit',
+      'pdf.page': 'Seite {page} von {count}',
+      'error.title': 'Fehler',
+      'error.libraries': 'Die erforderlichen Bibliotheken konnten nicht geladen werden',
+      'error.render': 'Fehler beim Darstellen des Dashboards: {message}',
+      'pdf.comparison': '{current}  vs.  {previous} ({comparison})',
+      'export.label': 'Bezeichnung',
+      'export.value': 'Wert'
+    },
+    fr: {
+      'role.date': 'Date',
+      'role.device': 'Appareil',
+      'role.channel': 'Canal',
+      'role.landingPage': 'Page de destination',
+      'role.page': 'Page',
+      'role.eventName': 'Nom de l’événement',
+      'role.sourceMedium': 'Source / support',
+      'role.country': 'Pays',
+      'role.searchAppearance': 'Apparence dans les résultats',
+      'role.query': 'Requête',
+      'role.campaign': 'Campagne',
+      'role.adGroup': 'Groupe d’annonces',
+      'role.keyword': 'Mot clé',
+      'role.users': 'Utilisateurs',
+      'role.newUsers': 'Nouveaux utilisateurs',
+      'role.sessions': 'Sessions',
+      'role.views': 'Vues',
+      'role.engagementRate': 'Taux d’engagement',
+      'role.engagementTime': 'Durée d’engagement moy.',
+      'role.eventCount': 'Nombre d’événements',
+      'role.keyEvents': 'Événements clés',
+      'role.bounceRate': 'Taux de rebond',
+      'role.searchClicks': 'Clics de recherche',
+      'role.searchImpressions': 'Impressions',
+      'role.searchCtr': 'CTR',
+      'role.position': 'Position moy.',
+      'role.adClicks': 'Clics sur les annonces',
+      'role.adImpressions': 'Impressions des annonces',
+      'role.adCtr': 'CTR des annonces',
+      'role.cost': 'Dépenses publicitaires',
+      'role.adConversions': 'Conversions publicitaires',
+      'role.costPerConversion': 'Coût/conv.',
+      'role.conversionValue': 'Valeur conv.',
+      'header.title': 'Tableau de bord du marketing digital',
+      'header.subtitle': 'Vue d’ensemble des performances du site et des campagnes marketing',
+      'range.7': '7 derniers jours',
+      'range.30': '30 derniers jours',
+      'range.90': '90 derniers jours',
+      'range.180': '6 derniers mois',
+      'range.365': '12 derniers mois',
+      'range.mtd': 'Mois en cours',
+      'range.lastMonth': 'Mois dernier',
+      'range.qtd': 'Trimestre en cours',
+      'range.ytd': 'Année en cours',
+      'range.custom': 'Période personnalisée…',
+      'range.start': 'Date de début',
+      'range.end': 'Date de fin',
+      'device.all': 'Tous les appareils',
+      'device.desktop': 'Ordinateur',
+      'device.mobile': 'Mobile',
+      'device.tablet': 'Tablette',
+      'filter.deviceUnbound': 'Associez une dimension Catégorie d’appareil pour filtrer par appareil',
+      'filter.filteredBy': 'Filtré par',
+      'filter.remove': 'Retirer le filtre',
+      'filter.clearAll': 'Tout effacer',
+      'export.pdf': 'Exporter en PDF',
+      'comparison.vs': 'vs',
+      'comparison.previous': 'Période précédente',
+      'comparison.year': 'Même période l’an dernier',
+      'comparison.show': 'Afficher la comparaison',
+      'comparison.hide': 'Masquer la comparaison',
+      'tab.overview': 'Vue d’ensemble',
+      'tab.ga4': 'Google Analytics',
+      'tab.gsc': 'Search Console',
+      'tab.ads': 'Google Ads',
+      'chart.trafficChart': 'Trafic dans le temps',
+      'chart.searchChart': 'Clics et impressions de recherche',
+      'chart.sourceChart': 'Trafic par source',
+      'chart.deviceChart': 'Utilisateurs par appareil',
+      'chart.adChart': 'Performances des annonces',
+      'chart.ga4TrendChart': 'Utilisateurs, sessions et engagement',
+      'chart.ga4EngagementChart': 'Engagement par canal',
+      'chart.gscTrendChart': 'Clics, impressions, CTR et position',
+      'chart.gscPositionChart': 'Répartition des positions',
+      'chart.gscCountryChart': 'Clics par pays',
+      'chart.gscAppearanceChart': 'Clics par apparence dans les résultats',
+      'chart.adsTrendChart': 'Dépenses, clics, conversions et ROAS',
+      'comparison.label.previous': 'période précédente',
+      'comparison.label.year': 'même période l’an dernier',
+      'kpi.unmapped': 'Non associé · aucune métrique liée',
+      'kpi.noComparison': 'Aucune donnée pour la {comparison}',
+      'kpi.versus': 'vs {comparison}',
+      'kpi.projected': 'Total prévu pour {period} :',
+      'column.users': 'Utilisateurs',
+      'column.bounceRate': 'Taux de rebond',
+      'column.avgTime': 'Durée moy.',
+      'column.clicks': 'Clics',
+      'column.impressions': 'Impressions',
+      'column.ctr': 'CTR',
+      'column.position': 'Position',
+      'column.cost': 'Coût',
+      'column.conversions': 'Conversions',
+      'column.costPerConversion': 'Coût/conv.',
+      'column.views': 'Vues',
+      'column.engagement': 'Engagement',
+      'column.events': 'Événements',
+      'column.keyEvents': 'Événements clés',
+      'column.sessions': 'Sessions',
+      'column.newUsers': 'Nouveaux utilisateurs',
+      'column.engagementRate': 'Taux d’engagement',
+      'column.conversionValue': 'Valeur conv.',
+      'table.landingPages': 'Principales pages de destination',
+      'table.searchQueries': 'Principales requêtes',
+      'table.adCampaigns': 'Principales campagnes',
+      'table.gscQueries': 'Requêtes',
+      'table.gscPages': 'Pages',
+      'table.ga4Pages': 'Pages principales',
+      'table.ga4Events': 'Événements et événements clés',
+      'table.ga4SourceMedium': 'Attribution source / support',
+      'column.page': 'Page',
+      'column.query': 'Requête',
+      'column.campaign': 'Campagne',
+      'column.event': 'Événement',
+      'column.sourceMedium': 'Source / support',
+      'table.gscPages.note': 'Les lignes mises en évidence ont un CTR nettement inférieur (orange) ou supérieur (vert) à la normale pour leur position moyenne.',
+      'drilldown.campaign.title': 'Campagnes',
+      'drilldown.campaign.all': 'Toutes les campagnes',
+      'drilldown.adGroup.title': 'Groupes d’annonces',
+      'drilldown.adGroup.all': 'Tous les groupes d’annonces',
+      'drilldown.adGroup.in': 'Groupes d’annonces de {parent}',
+      'drilldown.adGroup.hint': 'Cliquez sur une ligne pour voir ses groupes d’annonces.',
+      'drilldown.keyword.title': 'Mots clés',
+      'drilldown.keyword.in': 'Mots clés de {parent}',
+      'drilldown.keyword.hint': 'Cliquez sur une ligne pour voir ses mots clés.',
+      'table.unbound': 'Associez une dimension {dimensionLower} et au moins une métrique pour afficher ce tableau',
+      'table.search': 'Rechercher : {dimensionLower}…',
+      'table.noMatches': 'Aucune ligne ne correspond à votre recherche',
+      'table.noData': 'Aucune donnée pour cette période',
+      'table.range': '{from}–{to} sur {total}',
+      'table.previous': 'Précédent',
+      'table.next': 'Suivant',
+      'export.data': 'Exporter les données',
+      'export.csv': 'Télécharger en CSV',
+      'export.xlsx': 'Télécharger en XLSX',
+      'export.failed': 'Échec de l’export des données : {message}',
+      'insight.title': 'Analyses',
+      'insight.ranked': 'Classées par impact pour {period}',
+      'insight.none': 'Aucun changement notable ni valeur aberrante sur cette période.',
+      'insight.view': 'Voir →',
+      'insight.metric.up': '{metric} en hausse de {amount} : {now} contre {before} sur la {comparison}{note}.',
+      'insight.metric.down': '{metric} en baisse de {amount} : {now} contre {before} sur la {comparison}{note}.',
+      'insight.metric.upFlat': '{metric} en hausse : {now} contre {before} sur la {comparison}{note}.',
+      'insight.metric.downFlat': '{metric} en baisse : {now} contre {before} sur la {comparison}{note}.',
+      'insight.metric.significant': ' — une variation statistiquement notable de la moyenne quotidienne (t = {t})',
+      'insight.channel': '{channel} explique la plus forte variation des {metricLower} : {delta} ({change}) par rapport à la {comparison}.',
+      'insight.bounce.high': '« {page} » a un taux de rebond inhabituellement élevé de {rate}, pour une moyenne de {average} sur l’ensemble des pages. Vérifiez que son contenu répond aux attentes des visiteurs.',
+      'insight.bounce.low': '« {page} » retient particulièrement bien les visiteurs, avec un taux de rebond de {rate} pour une moyenne de {average}. Envisagez de créer d’autres pages similaires.',
+      'insight.cpa.best': '{campaign} a le coût par conversion le plus bas, à {value}, soit {gap} de moins que la moyenne de {average}.',
+      'insight.cpa.worst': '{campaign} a le coût par conversion le plus élevé, à {value}, soit {gap} de plus que la moyenne. Envisagez de réallouer du budget vers {best}.',
+      'insight.ctr': '« {query} » obtient {impressions} impressions en position {position}, mais seulement {ctr} de CTR, alors qu’environ {expected} est habituel. Un titre et une description plus percutants pourraient apporter environ {clicks} clics.{more}',
+      'insight.ctr.moreOne': ' {count} autre requête présente le même schéma.',
+      'insight.ctr.moreMany': ' {count} autres requêtes présentent le même schéma.',
+      'pacing.title': 'Rythme du budget',
+      'pacing.unbound': 'Associez une dimension de date et les dépenses publicitaires pour suivre le rythme du budget',
+      'pacing.noBudget': 'Définissez un budget mensuel dans les options de style Google Ads pour suivre le rythme',
+      'pacing.invalidBudget': '« {value} » n’est pas un budget mensuel valide. Saisissez un nombre simple, par exemple 15000 ou 15000.50',
+      'pacing.over': 'Dépassement',
+      'pacing.under': 'Sous-utilisation',
+      'pacing.onTrack': 'Dans les temps',
+      'pacing.day': 'jour {day} sur {days}',
+      'pacing.ofBudget': 'sur {budget}',
+      'pacing.expectedMarker': 'Dépenses attendues à ce jour',
+      'pacing.expected': 'Attendu à ce jour',
+      'pacing.projected': 'Prévision du mois',
+      'pacing.remaining': 'Restant / jour',
+      'leaderboard.title': 'Coût par conversion',
+      'leaderboard.unbound': 'Associez une dimension de campagne, les dépenses et les conversions publicitaires pour classer les campagnes',
+      'leaderboard.noConversions': 'Aucune conversion',
+      'leaderboard.conversions': '{count} conv.',
+      'leaderboard.noSpend': 'Aucune dépense sur cette période',
+      'footer': 'Dernière mise à jour : {date} • Sources de données : Google Analytics 4, Google Search Console, Google Ads',
+      'chart.trafficChart.unbound': 'Associez une dimension de date et les utilisateurs ou les sessions pour voir l’évolution du trafic',
+      'chart.searchChart.unbound': 'Associez une dimension de date et les clics ou les impressions pour voir les performances de recherche',
+      'chart.sourceChart.unbound': 'Associez une dimension de canal ou de source et les sessions pour voir le trafic par source',
+      'chart.deviceChart.unbound': 'Associez une dimension Catégorie d’appareil et les utilisateurs pour voir la répartition par appareil',
+      'chart.adChart.unbound': 'Associez une dimension de campagne et les clics ou les conversions pour voir les performances des annonces',
+      'chart.ga4TrendChart.unbound': 'Associez une dimension de date et les utilisateurs, nouveaux utilisateurs, sessions ou le taux d’engagement pour voir les tendances GA4',
+      'chart.ga4EngagementChart.unbound': 'Associez une dimension de canal et le taux d’engagement ou la durée d’engagement moyenne pour voir la répartition de l’engagement',
+      'chart.gscTrendChart.unbound': 'Associez une dimension de date et les clics, impressions, CTR ou la position pour voir la tendance de recherche',
+      'chart.gscPositionChart.unbound': 'Associez une dimension de requête ou de page et la position moyenne pour voir la répartition des positions',
+      'chart.gscCountryChart.unbound': 'Associez une dimension de pays et les clics ou les impressions pour voir la répartition par pays',
+      'chart.gscAppearanceChart.unbound': 'Associez une dimension d’apparence dans les résultats et les clics ou les impressions pour voir la répartition',
+      'chart.adsTrendChart.unbound': 'Associez une dimension de date et les dépenses, clics ou conversions publicitaires pour voir la tendance Ads',
+      'forecast.label': '{metric} (prévision)',
+      'forecast.high': '{metric} prévision (haute)',
+      'forecast.low': '{metric} prévision (basse)',
+      'forecast.quarter': 'T{quarter}',
+      'forecast.range': 'Intervalle à 95 % : {lower} – {upper}',
+      'granularity.label': 'Regrouper par',
+      'granularity.day': 'Jour',
+      'granularity.week': 'Semaine',
+      'granularity.month': 'Mois',
+      'granularity.quarter': 'Trimestre',
+      'granularity.weekOf': 'Semaine du {date}',
+      'granularity.quarterOf': 'T{quarter} {year}',
+      'anomaly.tooltip': '⚠ Anomalie : {actual} réel contre ~{expected} attendu',
+      'chart.roas': 'ROAS',
+      'chart.roasValue': '{value}×',
+      'axis.clicks': 'Clics',
+      'axis.impressions': 'Impressions',
+      'axis.conversions': 'Conversions',
+      'axis.engagementRate': 'Taux d’engagement',
+      'axis.spend': 'Dépenses',
+      'axis.clicksConversions': 'Clics / conversions',
+      'export.exporting': 'Export en cours…',
+      'export.pdfFailed': 'Échec de l’export PDF : {message}',
+      'pdf.period': 'Période',
+      'pdf.devices': 'Appareils',
+      'pdf.comparedWith': 'Comparé à',
+      'pdf.page': 'Page {page} sur {count}',
+      'error.title': 'Erreur',
+      'error.libraries': 'Impossible de charger les bibliothèques requises',
+      'error.render': 'Erreur lors de l’affichage du tableau de bord : {message}',
+      'pdf.comparison': '{current}  vs  {previous} ({comparison})',
+      'export.label': 'Libellé',
+      'export.value': 'Valeur'
+    },
+    es: {
+      'role.date': 'Fecha',
+      'role.device': 'Dispositivo',
+      'role.channel': 'Canal',
+      'role.landingPage': 'Página de destino',
+      'role.page': 'Página',
+      'role.eventName': 'Nombre del evento',
+      'role.sourceMedium': 'Fuente / medio',
+      'role.country': 'País',
+      'role.searchAppearance': 'Aspecto en la búsqueda',
+      'role.query': 'Consulta',
+      'role.campaign': 'Campaña',
+      'role.adGroup': 'Grupo de anuncios',
+      'role.keyword': 'Palabra clave',
+      'role.users': 'Usuarios',
+      'role.newUsers': 'Usuarios nuevos',
+      'role.sessions': 'Sesiones',
+      'role.views': 'Vistas',
+      'role.engagementRate': 'Porcentaje de interacción',
+      'role.engagementTime': 'Tiempo medio de interacción',
+      'role.eventCount': 'Número de eventos',
+      'role.keyEvents': 'Eventos clave',
+      'role.bounceRate': 'Porcentaje de rebote',
+      'role.searchClicks': 'Clics de búsqueda',
+      'role.searchImpressions': 'Impresiones',
+      'role.searchCtr': 'CTR',
+      'role.position': 'Posición media',
+      'role.adClicks': 'Clics en anuncios',
+      'role.adImpressions': 'Impresiones de anuncios',
+      'role.adCtr': 'CTR de anuncios',
+      'role.cost': 'Gasto en anuncios',
+      'role.adConversions': 'Conversiones de anuncios',
+      'role.costPerConversion': 'Coste/conv.',
+      'role.conversionValue': 'Valor conv.',
+      'header.title': 'Panel de marketing digital',
+      'header.subtitle': 'Visión general del rendimiento del sitio web y de las campañas de marketing',
+      'range.7': 'Últimos 7 días',
+      'range.30': 'Últimos 30 días',
+      'range.90': 'Últimos 90 días',
+      'range.180': 'Últimos 6 meses',
+      'range.365': 'Últimos 12 meses',
+      'range.mtd': 'Mes hasta la fecha',
+      'range.lastMonth': 'Mes pasado',
+      'range.qtd': 'Trimestre hasta la fecha',
+      'range.ytd': 'Año hasta la fecha',
+      'range.custom': 'Periodo personalizado…',
+      'range.start': 'Fecha de inicio',
+      'range.end': 'Fecha de finalización',
+      'device.all': 'Todos los dispositivos',
+      'device.desktop': 'Ordenador',
+      'device.mobile': 'Móvil',
+      'device.tablet': 'Tableta',
+      'filter.deviceUnbound': 'Vincula una dimensión de categoría de dispositivo para filtrar por dispositivo',
+      'filter.filteredBy': 'Filtrado por',
+      'filter.remove': 'Quitar filtro',
+      'filter.clearAll': 'Borrar todo',
+      'export.pdf': 'Exportar PDF',
+      'comparison.vs': 'frente a',
+      'comparison.previous': 'Periodo anterior',
+      'comparison.year': 'Mismo periodo del año pasado',
+      'comparison.show': 'Mostrar comparación',
+      'comparison.hide': 'Ocultar comparación',
+      'tab.overview': 'Resumen',
+      'tab.ga4': 'Google Analytics',
+      'tab.gsc': 'Search Console',
+      'tab.ads': 'Google Ads',
+      'chart.trafficChart': 'Tráfico a lo largo del tiempo',
+      'chart.searchChart': 'Clics e impresiones de búsqueda',
+      'chart.sourceChart': 'Tráfico por fuente',
+      'chart.deviceChart': 'Usuarios por dispositivo',
+      'chart.adChart': 'Rendimiento de los anuncios',
+      'chart.ga4TrendChart': 'Usuarios, sesiones e interacción',
+      'chart.ga4EngagementChart': 'Interacción por canal',
+      'chart.gscTrendChart': 'Clics, impresiones, CTR y posición',
+      'chart.gscPositionChart': 'Distribución de posiciones',
+      'chart.gscCountryChart': 'Clics por país',
+      'chart.gscAppearanceChart': 'Clics por aspecto en la búsqueda',
+      'chart.adsTrendChart': 'Gasto, clics, conversiones y ROAS',
+      'comparison.label.previous': 'periodo anterior',
+      'comparison.label.year': 'mismo periodo del año pasado',
+      'kpi.unmapped': 'Sin asignar · ninguna métrica vinculada',
+      'kpi.noComparison': 'Sin datos del {comparison}',
+      'kpi.versus': 'frente al {comparison}',
+      'kpi.projected': 'Total previsto de {period}:',
+      'column.users': 'Usuarios',
+      'column.bounceRate': 'Porcentaje de rebote',
+      'column.avgTime': 'Tiempo medio',
+      'column.clicks': 'Clics',
+      'column.impressions': 'Impresiones',
+      'column.ctr': 'CTR',
+      'column.position': 'Posición',
+      'column.cost': 'Coste',
+      'column.conversions': 'Conversiones',
+      'column.costPerConversion': 'Coste/conv.',
+      'column.views': 'Vistas',
+      'column.engagement': 'Interacción',
+      'column.events': 'Eventos',
+      'column.keyEvents': 'Eventos clave',
+      'column.sessions': 'Sesiones',
+      'column.newUsers': 'Usuarios nuevos',
+      'column.engagementRate': 'Porcentaje de interacción',
+      'column.conversionValue': 'Valor conv.',
+      'table.landingPages': 'Páginas de destino principales',
+      'table.searchQueries': 'Consultas de búsqueda principales',
+      'table.adCampaigns': 'Campañas principales',
+      'table.gscQueries': 'Consultas',
+      'table.gscPages': 'Páginas',
+      'table.ga4Pages': 'Páginas principales',
+      'table.ga4Events': 'Eventos y eventos clave',
+      'table.ga4SourceMedium': 'Atribución por fuente / medio',
+      'column.page': 'Página',
+      'column.query': 'Consulta',
+      'column.campaign': 'Campaña',
+      'column.event': 'Evento',
+      'column.sourceMedium': 'Fuente / medio',
+      'table.gscPages.note': 'Las filas resaltadas tienen un CTR muy por debajo (ámbar) o por encima (verde) de lo habitual para su posición media.',
+      'drilldown.campaign.title': 'Campañas',
+      'drilldown.campaign.all': 'Todas las campañas',
+      'drilldown.adGroup.title': 'Grupos de anuncios',
+      'drilldown.adGroup.all': 'Todos los grupos de anuncios',
+      'drilldown.adGroup.in': 'Grupos de anuncios de {parent}',
+      'drilldown.adGroup.hint': 'Haz clic en una fila para ver sus grupos de anuncios.',
+      'drilldown.keyword.title': 'Palabras clave',
+      'drilldown.keyword.in': 'Palabras clave de {parent}',
+      'drilldown.keyword.hint': 'Haz clic en una fila para ver sus palabras clave.',
+      'table.unbound': 'Vincula una dimensión de {dimensionLower} y al menos una métrica para ver esta tabla',
+      'table.search': 'Buscar {dimensionLower}…',
+      'table.noMatches': 'Ninguna fila coincide con tu búsqueda',
+      'table.noData': 'No hay datos de este periodo',
+      'table.range': '{from}–{to} de {total}',
+      'table.previous': 'Anterior',
+      'table.next': 'Siguiente',
+      'export.data': 'Exportar datos',
+      'export.csv': 'Descargar CSV',
+      'export.xlsx': 'Descargar XLSX',
+      'export.failed': 'No se pudieron exportar los datos: {message}',
+      'insight.title': 'Información destacada',
+      'insight.ranked': 'Ordenada por impacto para {period}',
+      'insight.none': 'No hay cambios notables ni valores atípicos en este periodo.',
+      'insight.view': 'Ver →',
+      'insight.metric.up': '{metric} sube un {amount}: {now} frente a {before} en el {comparison}{note}.',
+      'insight.metric.down': '{metric} baja un {amount}: {now} frente a {before} en el {comparison}{note}.',
+      'insight.metric.upFlat': '{metric} sube: {now} frente a {before} en el {comparison}{note}.',
+      'insight.metric.downFlat': '{metric} baja: {now} frente a {before} en el {comparison}{note}.',
+      'insight.metric.significant': ' (un cambio estadísticamente notable en la media diaria, t = {t})',
+      'insight.channel': '{channel} generó el mayor cambio en {metricLower}: {delta} ({change}) frente al {comparison}.',
+      'insight.bounce.high': '«{page}» tiene un porcentaje de rebote inusualmente alto del {rate}, frente a una media de páginas del {average}. Comprueba que su contenido responde a lo que esperan los visitantes.',
+      'insight.bounce.low': '«{page}» retiene a los visitantes especialmente bien, con un porcentaje de rebote del {rate} frente a una media del {average}. Plantéate crear más páginas como esta.',
+      'insight.cpa.best': '{campaign} tiene el coste por conversión más bajo, {value}, un {gap} por debajo de la media de {average}.',
+      'insight.cpa.worst': '{campaign} tiene el coste por conversión más alto, {value}, un {gap} por encima de la media. Plantéate trasladar presupuesto a {best}.',
+      'insight.ctr': '«{query}» obtiene {impressions} impresiones en la posición {position}, pero solo un {ctr} de CTR, cuando lo habitual es alrededor del {expected}. Un título y una descripción más atractivos podrían sumar unos {clicks} clics.{more}',
+      'insight.ctr.moreOne': ' {count} consulta más muestra el mismo patrón.',
+      'insight.ctr.moreMany': ' {count} consultas más muestran el mismo patrón.',
+      'pacing.title': 'Ritmo del presupuesto',
+      'pacing.unbound': 'Vincula una dimensión de fecha y el gasto en anuncios para seguir el ritmo del presupuesto',
+      'pacing.noBudget': 'Define un presupuesto mensual en las opciones de estilo de Google Ads para seguir el ritmo',
+      'pacing.invalidBudget': '«{value}» no es un presupuesto mensual válido. Introduce un número simple, como 15000 o 15000.50',
+      'pacing.over': 'Gasto excesivo',
+      'pacing.under': 'Gasto insuficiente',
+      'pacing.onTrack': 'En línea',
+      'pacing.day': 'día {day} de {days}',
+      'pacing.ofBudget': 'de {budget}',
+      'pacing.expectedMarker': 'Gasto previsto hasta hoy',
+      'pacing.expected': 'Previsto hasta hoy',
+      'pacing.projected': 'Previsión del mes',
+      'pacing.remaining': 'Restante / día',
+      'leaderboard.title': 'Coste por conversión',
+      'leaderboard.unbound': 'Vincula una dimensión de campaña, el gasto y las conversiones de anuncios para clasificar las campañas',
+      'leaderboard.noConversions': 'Sin conversiones',
+      'leaderboard.conversions': '{count} conv.',
+      'leaderboard.noSpend': 'Sin gasto en este periodo',
+      'footer': 'Última actualización: {date} • Fuentes de datos: Google Analytics 4, Google Search Console, Google Ads',
+      'chart.trafficChart.unbound': 'Vincula una dimensión de fecha y usuarios o sesiones para ver el tráfico a lo largo del tiempo',
+      'chart.searchChart.unbound': 'Vincula una dimensión de fecha y clics o impresiones para ver el rendimiento en búsqueda',
+      'chart.sourceChart.unbound': 'Vincula una dimensión de canal o fuente y sesiones para ver el tráfico por fuente',
+      'chart.deviceChart.unbound': 'Vincula una dimensión de categoría de dispositivo y usuarios para ver el reparto por dispositivo',
+      'chart.adChart.unbound': 'Vincula una dimensión de campaña y clics o conversiones de anuncios para ver su rendimiento',
+      'chart.ga4TrendChart.unbound': 'Vincula una dimensión de fecha y usuarios, usuarios nuevos, sesiones o porcentaje de interacción para ver las tendencias de GA4',
+      'chart.ga4EngagementChart.unbound': 'Vincula una dimensión de canal y el porcentaje o el tiempo medio de interacción para ver el desglose de la interacción',
+      'chart.gscTrendChart.unbound': 'Vincula una dimensión de fecha y clics, impresiones, CTR o posición para ver la tendencia de búsqueda',
+      'chart.gscPositionChart.unbound': 'Vincula una dimensión de consulta o página y la posición media para ver la distribución de posiciones',
+      'chart.gscCountryChart.unbound': 'Vincula una dimensión de país y clics o impresiones para ver el desglose por país',
+      'chart.gscAppearanceChart.unbound': 'Vincula una dimensión de aspecto en la búsqueda y clics o impresiones para ver el desglose',
+      'chart.adsTrendChart.unbound': 'Vincula una dimensión de fecha y el gasto, los clics o las conversiones de anuncios para ver la tendencia de Ads',
+      'forecast.label': '{metric} (previsión)',
+      'forecast.high': '{metric} previsión (alta)',
+      'forecast.low': '{metric} previsión (baja)',
+      'forecast.quarter': 'T{quarter}',
+      'forecast.range': 'Intervalo del 95 %: {lower} – {upper}',
+      'granularity.label': 'Agrupar por',
+      'granularity.day': 'Día',
+      'granularity.week': 'Semana',
+      'granularity.month': 'Mes',
+      'granularity.quarter': 'Trimestre',
+      'granularity.weekOf': 'Semana del {date}',
+      'granularity.quarterOf': 'T{quarter} {year}',
+      'anomaly.tooltip': '⚠ Anomalía: {actual} real frente a ~{expected} esperado',
+      'chart.roas': 'ROAS',
+      'chart.roasValue': '{value}×',
+      'axis.clicks': 'Clics',
+      'axis.impressions': 'Impresiones',
+      'axis.conversions': 'Conversiones',
+      'axis.engagementRate': 'Porcentaje de interacción',
+      'axis.spend': 'Gasto',
+      'axis.clicksConversions': 'Clics / conversiones',
+      'export.exporting': 'Exportando…',
+      'export.pdfFailed': 'No se pudo exportar el PDF: {message}',
+      'pdf.period': 'Periodo',
+      'pdf.devices': 'Dispositivos',
+      'pdf.comparedWith': 'Comparado con',
+      'pdf.page': 'Página {page} de {count}',
+      'error.title': 'Error',
+      'error.libraries': 'No se pudieron cargar las bibliotecas necesarias',
+      'error.render': 'Error al mostrar el panel: {message}',
+      'pdf.comparison': '{current}  frente a  {previous} ({comparison})',
+      'export.label': 'Etiqueta',
+      'export.value': 'Valor'
+    },
+    ar: {
+      'role.date': 'التاريخ',
+      'role.device': 'الجهاز',
+      'role.channel': 'القناة',
+      'role.landingPage': 'الصفحة المقصودة',
+      'role.page': 'الصفحة',
+      'role.eventName': 'اسم الحدث',
+      'role.sourceMedium': 'المصدر / الوسيط',
+      'role.country': 'البلد',
+      'role.searchAppearance': 'مظهر البحث',
+      'role.query': 'طلب البحث',
+      'role.campaign': 'الحملة',
+      'role.adGroup': 'المجموعة الإعلانية',
+      'role.keyword': 'الكلمة الرئيسية',
+      'role.users': 'المستخدمون',
+      'role.newUsers': 'المستخدمون الجدد',
+      'role.sessions': 'الجلسات',
+      'role.views': 'المشاهدات',
+      'role.engagementRate': 'معدل التفاعل',
+      'role.engagementTime': 'متوسط وقت التفاعل',
+      'role.eventCount': 'عدد الأحداث',
+      'role.keyEvents': 'الأحداث الرئيسية',
+      'role.bounceRate': 'معدل الارتداد',
+      'role.searchClicks': 'نقرات البحث',
+      'role.searchImpressions': 'مرات الظهور',
+      'role.searchCtr': 'نسبة النقر',
+      'role.position': 'متوسط الترتيب',
+      'role.adClicks': 'نقرات الإعلانات',
+      'role.adImpressions': 'مرات ظهور الإعلانات',
+      'role.adCtr': 'نسبة النقر على الإعلانات',
+      'role.cost': 'الإنفاق الإعلاني',
+      'role.adConversions': 'الإحالات الناجحة من الإعلانات',
+      'role.costPerConversion': 'التكلفة/الإحالة',
+      'role.conversionValue': 'قيمة الإحالات',
+      'header.title': 'لوحة تحليلات التسويق الرقمي',
+      'header.subtitle': 'نظرة شاملة على أداء الموقع والحملات التسويقية',
+      'range.7': 'آخر 7 أيام',
+      'range.30': 'آخر 30 يومًا',
+      'range.90': 'آخر 90 يومًا',
+      'range.180': 'آخر 6 أشهر',
+      'range.365': 'آخر 12 شهرًا',
+      'range.mtd': 'الشهر حتى تاريخه',
+      'range.lastMonth': 'الشهر الماضي',
+      'range.qtd': 'الربع حتى تاريخه',
+      'range.ytd': 'السنة حتى تاريخه',
+      'range.custom': 'نطاق مخصص…',
+      'range.start': 'تاريخ البدء',
+      'range.end': 'تاريخ الانتهاء',
+      'device.all': 'جميع الأجهزة',
+      'device.desktop': 'كمبيوتر مكتبي',
+      'device.mobile': 'جوال',
+      'device.tablet': 'جهاز لوحي',
+      'filter.deviceUnbound': 'اربط بُعد فئة الجهاز للتصفية حسب الجهاز',
+      'filter.filteredBy': 'مصفّى حسب',
+      'filter.remove': 'إزالة عامل التصفية',
+      'filter.clearAll': 'مسح الكل',
+      'export.pdf': 'تصدير PDF',
+      'comparison.vs': 'مقابل',
+      'comparison.previous': 'الفترة السابقة',
+      'comparison.year': 'الفترة نفسها من العام الماضي',
+      'comparison.show': 'إظهار المقارنة',
+      'comparison.hide': 'إخفاء المقارنة',
+      'tab.overview': 'نظرة عامة',
+      'tab.ga4': 'Google Analytics',
+      'tab.gsc': 'Search Console',
+      'tab.ads': 'Google Ads',
+      'chart.trafficChart': 'الزيارات بمرور الوقت',
+      'chart.searchChart': 'نقرات البحث ومرات الظهور',
+      'chart.sourceChart': 'الزيارات حسب المصدر',
+      'chart.deviceChart': 'المستخدمون حسب الجهاز',
+      'chart.adChart': 'أداء الإعلانات',
+      'chart.ga4TrendChart': 'المستخدمون والجلسات والتفاعل',
+      'chart.ga4EngagementChart': 'التفاعل حسب القناة',
+      'chart.gscTrendChart': 'النقرات ومرات الظهور ونسبة النقر والترتيب',
+      'chart.gscPositionChart': 'توزيع الترتيب',
+      'chart.gscCountryChart': 'النقرات حسب البلد',
+      'chart.gscAppearanceChart': 'النقرات حسب مظهر البحث',
+      'chart.adsTrendChart': 'الإنفاق والنقرات والإحالات الناجحة وعائد الإنفاق الإعلاني',
+      'comparison.label.previous': 'الفترة السابقة',
+      'comparison.label.year': 'الفترة نفسها من العام الماضي',
+      'kpi.unmapped': 'غير مربوط · لا يوجد مقياس',
+      'kpi.noComparison': 'لا توجد بيانات لـ{comparison}',
+      'kpi.versus': 'مقابل {comparison}',
+      'kpi.projected': 'الإجمالي المتوقع لـ{period}:',
+      'column.users': 'المستخدمون',
+      'column.bounceRate': 'معدل الارتداد',
+      'column.avgTime': 'متوسط الوقت',
+      'column.clicks': 'النقرات',
+      'column.impressions': 'مرات الظهور',
+      'column.ctr': 'نسبة النقر',
+      'column.position': 'الترتيب',
+      'column.cost': 'التكلفة',
+      'column.conversions': 'الإحالات الناجحة',
+      'column.costPerConversion': 'التكلفة/الإحالة',
+      'column.views': 'المشاهدات',
+      'column.engagement': 'التفاعل',
+      'column.events': 'الأحداث',
+      'column.keyEvents': 'الأحداث الرئيسية',
+      'column.sessions': 'الجلسات',
+      'column.newUsers': 'المستخدمون الجدد',
+      'column.engagementRate': 'معدل التفاعل',
+      'column.conversionValue': 'قيمة الإحالات',
+      'table.landingPages': 'أهم الصفحات المقصودة',
+      'table.searchQueries': 'أهم طلبات البحث',
+      'table.adCampaigns': 'أهم الحملات الإعلانية',
+      'table.gscQueries': 'طلبات البحث',
+      'table.gscPages': 'الصفحات',
+      'table.ga4Pages': 'أهم الصفحات',
+      'table.ga4Events': 'الأحداث والأحداث الرئيسية',
+      'table.ga4SourceMedium': 'الإسناد حسب المصدر / الوسيط',
+      'column.page': 'الصفحة',
+      'column.query': 'طلب البحث',
+      'column.campaign': 'الحملة',
+      'column.event': 'الحدث',
+      'column.sourceMedium': 'المصدر / الوسيط',
+      'table.gscPages.note': 'الصفوف المميزة لها نسبة نقر أقل بكثير (كهرماني) أو أعلى بكثير (أخضر) من المعتاد لمتوسط ترتيبها.',
+      'drilldown.campaign.title': 'الحملات',
+      'drilldown.campaign.all': 'جميع الحملات',
+      'drilldown.adGroup.title': 'المجموعات الإعلانية',
+      'drilldown.adGroup.all': 'جميع المجموعات الإعلانية',
+      'drilldown.adGroup.in': 'المجموعات الإعلانية في {parent}',
+      'drilldown.adGroup.hint': 'انقر على صف لعرض مجموعاته الإعلانية.',
+      'drilldown.keyword.title': 'الكلمات الرئيسية',
+      'drilldown.keyword.in': 'الكلمات الرئيسية في {parent}',
+      'drilldown.keyword.hint': 'انقر على صف لعرض كلماته الرئيسية.',
+      'table.unbound': 'اربط بُعد {dimension} ومقياسًا واحدًا على الأقل لعرض هذا الجدول',
+      'table.search': 'البحث في {dimension}…',
+      'table.noMatches': 'لا توجد صفوف تطابق بحثك',
+      'table.noData': 'لا توجد بيانات لهذه الفترة',
+      'table.range': '{from}–{to} من {total}',
+      'table.previous': 'السابق',
+      'table.next': 'التالي',
+      'export.data': 'تصدير البيانات',
+      'export.csv': 'تنزيل CSV',
+      'export.xlsx': 'تنزيل XLSX',
+      'export.failed': 'تعذّر تصدير البيانات: {message}',
+      'insight.title': 'رؤى',
+      'insight.ranked': 'مرتبة حسب التأثير لـ{period}',
+      'insight.none': 'لا توجد تغييرات أو قيم شاذة ملحوظة في هذه الفترة.',
+      'insight.view': 'عرض ←',
+      'insight.metric.up': 'ارتفع {metric} بنسبة {amount}: {now} مقابل {before} في {comparison}{note}.',
+      'insight.metric.down': 'انخفض {metric} بنسبة {amount}: {now} مقابل {before} في {comparison}{note}.',
+      'insight.metric.upFlat': 'ارتفع {metric}: {now} مقابل {before} في {comparison}{note}.',
+      'insight.metric.downFlat': 'انخفض {metric}: {now} مقابل {before} في {comparison}{note}.',
+      'insight.metric.significant': ' — تحوّل ملحوظ إحصائيًا في المتوسط اليومي (t = {t})',
+      'insight.channel': 'كانت {channel} وراء أكبر تغيير في {metric}: {delta} ({change}) مقابل {comparison}.',
+      'insight.bounce.high': 'معدل الارتداد في "{page}" مرتفع على نحو غير معتاد ويبلغ {rate} مقابل متوسط {average} للصفحات. تحقّق من أن محتواها يلبي توقعات الزوار.',
+      'insight.bounce.low': 'تحتفظ "{page}" بالزوار جيدًا على نحو غير معتاد، بمعدل ارتداد {rate} مقابل متوسط {average} للصفحات. فكّر في إنشاء صفحات مشابهة.',
+      'insight.cpa.best': 'لدى {campaign} أقل تكلفة لكل إحالة ناجحة وتبلغ {value}، أي أقل من المتوسط البالغ {average} بنسبة {gap}.',
+      'insight.cpa.worst': 'لدى {campaign} أعلى تكلفة لكل إحالة ناجحة وتبلغ {value}، أي أعلى من المتوسط بنسبة {gap}. فكّر في نقل الميزانية إلى {best}.',
+      'insight.ctr': 'يحقق "{query}" عدد {impressions} من مرات الظهور في الترتيب {position} لكن بنسبة نقر {ctr} فقط، بينما المعتاد نحو {expected}. قد يضيف عنوان ووصف أوضح نحو {clicks} نقرة.{more}',
+      'insight.ctr.moreOne': ' يُظهر طلب بحث آخر ({count}) النمط نفسه.',
+      'insight.ctr.moreMany': ' تُظهر {count} طلبات بحث أخرى النمط نفسه.',
+      'pacing.title': 'وتيرة إنفاق الميزانية',
+      'pacing.unbound': 'اربط بُعد التاريخ والإنفاق الإعلاني لتتبّع وتيرة إنفاق الميزانية',
+      'pacing.noBudget': 'حدّد ميزانية شهرية في خيارات نمط Google Ads لتتبّع الوتيرة',
+      'pacing.invalidBudget': '«{value}» ليست ميزانية شهرية صالحة. أدخل رقمًا بسيطًا مثل 15000 أو 15000.50',
+      'pacing.over': 'إنفاق زائد',
+      'pacing.under': 'إنفاق أقل من المخطط',
+      'pacing.onTrack': 'ضمن المسار',
+      'pacing.day': 'اليوم {day} من {days}',
+      'pacing.ofBudget': 'من {budget}',
+      'pacing.expectedMarker': 'الإنفاق المتوقع حتى اليوم',
+      'pacing.expected': 'المتوقع حتى اليوم',
+      'pacing.projected': 'المتوقع للشهر',
+      'pacing.remaining': 'المتبقي / يوم',
+      'leaderboard.title': 'التكلفة لكل إحالة ناجحة',
+      'leaderboard.unbound': 'اربط بُعد الحملة والإنفاق الإعلاني والإحالات الناجحة لترتيب الحملات',
+      'leaderboard.noConversions': 'لا توجد إحالات ناجحة',
+      'leaderboard.conversions': '{count} إحالة',
+      'leaderboard.noSpend': 'لا يوجد إنفاق في هذه الفترة',
+      'footer': 'آخر تحديث: {date} • مصادر البيانات: Google Analytics 4 وGoogle Search Console وGoogle Ads',
+      'chart.trafficChart.unbound': 'اربط بُعد التاريخ والمستخدمين أو الجلسات لعرض الزيارات بمرور الوقت',
+      'chart.searchChart.unbound': 'اربط بُعد التاريخ والنقرات أو مرات الظهور لعرض أداء البحث',
+      'chart.sourceChart.unbound': 'اربط بُعد القناة أو المصدر والجلسات لعرض الزيارات حسب المصدر',
+      'chart.deviceChart.unbound': 'اربط بُعد فئة الجهاز والمستخدمين لعرض التوزيع حسب الجهاز',
+      'chart.adChart.unbound': 'اربط بُعد الحملة ونقرات الإعلانات أو الإحالات الناجحة لعرض أداء الإعلانات',
+      'chart.ga4TrendChart.unbound': 'اربط بُعد التاريخ والمستخدمين أو المستخدمين الجدد أو الجلسات أو معدل التفاعل لعرض اتجاهات GA4',
+      'chart.ga4EngagementChart.unbound': 'اربط بُعد القناة ومعدل التفاعل أو متوسط وقت التفاعل لعرض تفصيل التفاعل',
+      'chart.gscTrendChart.unbound': 'اربط بُعد التاريخ والنقرات أو مرات الظهور أو نسبة النقر أو الترتيب لعرض اتجاه البحث',
+      'chart.gscPositionChart.unbound': 'اربط بُعد طلب البحث أو الصفحة ومتوسط الترتيب لعرض توزيع الترتيب',
+      'chart.gscCountryChart.unbound': 'اربط بُعد البلد والنقرات أو مرات الظهور لعرض التفصيل حسب البلد',
+      'chart.gscAppearanceChart.unbound': 'اربط بُعد مظهر البحث والنقرات أو مرات الظهور لعرض التفصيل حسب المظهر',
+      'chart.adsTrendChart.unbound': 'اربط بُعد التاريخ والإنفاق الإعلاني أو نقرات الإعلانات أو الإحالات الناجحة لعرض اتجاه الإعلانات',
+      'forecast.label': '{metric} (توقّع)',
+      'forecast.high': '{metric} توقّع (أعلى)',
+      'forecast.low': '{metric} توقّع (أدنى)',
+      'forecast.quarter': 'الربع {quarter}',
+      'forecast.range': 'نطاق 95%: {lower} – {upper}',
+      'granularity.label': 'التجميع حسب',
+      'granularity.day': 'يوم',
+      'granularity.week': 'أسبوع',
+      'granularity.month': 'شهر',
+      'granularity.quarter': 'ربع سنة',
+      'granularity.weekOf': 'أسبوع {date}',
+      'granularity.quarterOf': 'الربع {quarter} {year}',
+      'anomaly.tooltip': '⚠ قيمة شاذة: {actual} فعليًا مقابل ~{expected} متوقعًا',
+      'chart.roas': 'عائد الإنفاق الإعلاني',
+      'chart.roasValue': '{value}×',
+      'axis.clicks': 'النقرات',
+      'axis.impressions': 'مرات الظهور',
+      'axis.conversions': 'الإحالات الناجحة',
+      'axis.engagementRate': 'معدل التفاعل',
+      'axis.spend': 'الإنفاق',
+      'axis.clicksConversions': 'النقرات / الإحالات الناجحة',
+      'export.exporting': 'جارٍ التصدير…',
+      'export.pdfFailed': 'تعذّر تصدير PDF: {message}',
+      'pdf.period': 'الفترة',
+      'pdf.devices': 'الأجهزة',
+      'pdf.comparedWith': 'مقارنةً بـ',
+      'pdf.page': 'الصفحة {page} من {count}',
+      'error.title': 'خطأ',
+      'error.libraries': 'تعذّر تحميل المكتبات المطلوبة',
+      'error.render': 'خطأ في عرض اللوحة: {message}',
+      'pdf.comparison': '{current}  مقابل  {previous} ({comparison})',
+      'export.label': 'التسمية',
+      'export.value': 'القيمة'
+    }
+  };
+  
+  // Build CSV text; strings that look like formulas are prefixed so spreadsheets don't run them
+  const toCSV = (rows) => {
+    return rows.map(row => row.map(value => {
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'number') return String(value);
+      let text = String(value);
+      if (/^[=+\-@]/.test(text)) text = "'" + text;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+  };
+  
+  // Trigger a browser download for generated content
+  const downloadFile = (content, filename, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   };
   
   // Main visualization class
@@ -35,55 +1638,77 @@
       this.style = null;
       this.container = null;
       this.charts = {};
+      this.tableExports = {};
+      this.tableState = {}; // Sort column, search text and page per table id
+      this.adsDrilldown = []; // Campaign, then ad group, the user has drilled into
       this.dimensions = [];
       this.metrics = [];
-      this.dateRange = '30'; // Default to 30 days
+      this.dateRange = '30'; // A DATE_PRESETS id or 'custom'; defaults to 30 days
+      this.customRange = null; // { start, end } picked in the custom range inputs
+      this.chartGranularity = {}; // Chart id -> GRANULARITIES entry picked on a trend chart
       this.deviceFilter = 'all'; // Default to all devices
+      this.crossFilters = {}; // Role -> value selected by clicking a chart, e.g. { channel: 'Organic Search' }
+      this.showComparison = false;
+      this.comparisonMode = 'previous'; // 'previous' period or same period last 'year'
       this.activeTab = 'overview';
+      this.locale = 'en-US'; // Resolved from the locale style option in applyLocale()
+      this.language = 'en';
+      this.direction = 'ltr';
+      this.formatters = new Map(); // Cached Intl formatters keyed by locale and options
     }
     
     async initialize(element) {
       this.container = element;
       
-      // Load required libraries
-      try {
-        await Promise.all([
-          loadScript('https://cdn.tailwindcss.com'),
-          loadScript('https://cdn.jsdelivr.net/npm/chart.js'),
-          loadScript('https://cdn.jsdelivr.net/npm/luxon@3.0.1/build/global/luxon.min.js'),
-          loadScript('https://cdn.jsdelivr.net/npm/chartjs-adapter-luxon@1.0.0'),
-          loadCSS('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap')
-        ]);
-        
-        // Initialize Chart.js defaults
-        Chart.defaults.font.family = "'Inter', sans-serif";
-        Chart.defaults.color = '#6b7280';
-        Chart.defaults.plugins.tooltip.backgroundColor = 'rgba(17, 24, 39, 0.8)';
-        Chart.defaults.plugins.tooltip.titleColor = '#ffffff';
-        Chart.defaults.plugins.tooltip.bodyColor = '#ffffff';
-        Chart.defaults.plugins.tooltip.padding = 12;
-        Chart.defaults.plugins.tooltip.cornerRadius = 6;
-        
-      } catch (error) {
-        console.error('Failed to load required libraries:', error);
-        this.showError('Failed to load required libraries');
+      // Chart.js, Luxon, fonts and the compiled Tailwind CSS are bundled ahead of this file
+      if (typeof Chart === 'undefined') {
+        console.error('Chart.js is not available; build the viz with `npm run build`');
+        this.showError(this.t('error.libraries'));
         return;
       }
+      
+      // Initialize Chart.js defaults; colors come from the theme in applyTheme()
+      Chart.defaults.font.family = "'Inter', sans-serif";
+      Chart.defaults.plugins.tooltip.padding = 12;
+      Chart.defaults.plugins.tooltip.cornerRadius = 6;
+      
+      this.librariesLoaded = true;
     }
     
     draw(data, style) {
+      if (!this.librariesLoaded) return;
+      
+      // Looker Studio re-sends data on every report interaction; identical payloads need no work
+      const signature = JSON.stringify([data && data.tables, style]);
+      if (signature === this.signature) return;
+      this.signature = signature;
+      
       this.data = data;
       this.style = style;
       
-      // Clear container
-      this.container.innerHTML = '';
-      
       try {
         // Extract dimensions and metrics from data
         this.extractData();
         
+        // Same fields and style: re-slice in place, keeping charts, tab and filters
+        const layout = this.getLayoutSignature();
+        if (layout === this.layout) {
+          this.refresh();
+          return;
+        }
+        this.layout = layout;
+        
+        // Pick up theme, palette and locale changes from the style panel
+        this.applyTheme();
+        this.applyLocale();
+        
+        // Rebuild from scratch, releasing the previous charts first
+        this.destroyCharts();
+        this.container.innerHTML = '';
+        
         // Create dashboard structure
         this.createDashboard();
+        this.setActiveTab(this.activeTab);
         
         // Initialize charts and tables
         this.initializeCharts();
@@ -93,21 +1718,40 @@
         
       } catch (error) {
         console.error('Error rendering dashboard:', error);
-        this.showError('Error rendering dashboard: ' + error.message);
+        this.showError(this.t('error.render', { message: error.message }));
+        
+        // Force a full rebuild on the next draw
+        this.signature = null;
+        this.layout = null;
       }
     }
     
+    getLayoutSignature() {
+      // Bound fields and style settings decide the dashboard's structure; row values don't
+      const describe = (field) => [field.id, field.name, field.type];
+      return JSON.stringify([this.dimensions.map(describe), this.metrics.map(describe), this.style]);
+    }
+    
+    destroyCharts() {
+      clearTimeout(this.chartTimer);
+      this.chartTimer = null;
+      Object.keys(this.charts).forEach(id => {
+        if (this.charts[id]) this.charts[id].destroy();
+      });
+      this.charts = {};
+    }
+    
     extractData() {
       // Extract dimensions and metrics from Looker Studio data
-      // In a real implementation, this would map the data from Looker Studio's format
-      
-      // For demonstration, we'll use sample data
+      // Each field keeps its declared type and one value per table row
       this.dimensions = [];
       this.metrics = [];
+      this.rowCount = 0;
       
-      // Sample data structure
       if (this.data && this.data.tables && this.data.tables.DEFAULT) {
         const tableData = this.data.tables.DEFAULT;
+        const rows = tableData.rows || [];
+        this.rowCount = rows.length;
         
         // Extract dimensions
         if (tableData.dimensions) {
@@ -115,7 +1759,8 @@
             return {
               id: dim.id,
               name: dim.name,
-              values: tableData.rows.map(row => row[i])
+              type: dim.type || null,
+              values: rows.map(row => row[i])
             };
           });
         }
@@ -127,11 +1772,430 @@
             return {
               id: metric.id,
               name: metric.name,
-              values: tableData.rows.map(row => row[i + dimCount])
+              type: metric.type || 'NUMBER',
+              values: rows.map(row => row[i + dimCount])
             };
           });
         }
       }
+      
+      // Work out which bound field plays which role (users, clicks, date, ...)
+      this.resolveFieldRoles();
+      this.resolveMetricDefinitions();
+      this.normalizeDates();
+      this.dateBounds = this.getDataDateBounds();
+    }
+    
+    normalizeDates() {
+      // Week, month, quarter and year fields are stored as YYYYMMDD of the period's first day
+      // so date filtering and bucketing treat them like daily data
+      const dateDimension = this.getField('date');
+      this.dateGranularity = dateDimension ? DATE_GRANULARITIES[dateDimension.type] || 'day' : 'day';
+      if (this.dateGranularity === 'day') return;
+      
+      dateDimension.values = dateDimension.values.map(value => {
+        const date = parsePeriodValue(value, dateDimension.type);
+        return date ? toDateKey(date) : null;
+      });
+    }
+    
+    getDataDateBounds() {
+      // First and last date in the data, or null without a bound date dimension
+      const dateDimension = this.getField('date');
+      if (!dateDimension) return null;
+      
+      let min = null;
+      let max = null;
+      dateDimension.values.forEach(value => {
+        const date = parseDateValue(value);
+        if (!date) return;
+        if (!min || date < min) min = date;
+        if (!max || date > max) max = date;
+      });
+      
+      return min ? { min, max } : null;
+    }
+    
+    applyTheme() {
+      const name = THEMES[this.getStyleValue('theme')] ? this.getStyleValue('theme') : 'light';
+      const paletteName = PALETTES[this.getStyleValue('colorPalette')] ? this.getStyleValue('colorPalette') : 'default';
+      this.theme = Object.assign({ name: name, palette: PALETTES[paletteName] }, THEMES[name]);
+      
+      // One shared stylesheet; each dashboard only swaps the token values
+      if (!document.getElementById('marketing-dashboard-theme')) {
+        const styleSheet = document.createElement('style');
+        styleSheet.id = 'marketing-dashboard-theme';
+        styleSheet.textContent = THEME_CSS;
+        document.head.appendChild(styleSheet);
+      }
+      
+      this.container.classList.add('marketing-dashboard');
+      Object.keys(THEMES[name]).forEach(token => {
+        const property = '--dash-' + token.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+        this.container.style.setProperty(property, THEMES[name][token]);
+      });
+      
+      Chart.defaults.color = this.theme.textMuted;
+      Chart.defaults.borderColor = this.theme.grid;
+      Chart.defaults.plugins.tooltip.backgroundColor = this.theme.tooltipBackground;
+      Chart.defaults.plugins.tooltip.titleColor = this.theme.tooltipText;
+      Chart.defaults.plugins.tooltip.bodyColor = this.theme.tooltipText;
+    }
+    
+    getSeriesColor(index) {
+      // "r, g, b" for the nth series of the active palette
+      return this.theme.palette[index % this.theme.palette.length];
+    }
+    
+    getPaletteColors(opacity) {
+      return this.theme.palette.map(color => `rgba(${color}, ${opacity})`);
+    }
+    
+    applyLocale() {
+      // 'auto' follows the viewer's browser; anything Intl doesn't support falls back to en-US
+      const requested = this.getStyleValue('locale');
+      const candidate = !requested || requested === 'auto' ?
+        (typeof navigator !== 'undefined' && navigator.language) || 'en-US' :
+        requested;
+      this.locale = Intl.NumberFormat.supportedLocalesOf([candidate]).length ? candidate : 'en-US';
+      
+      const language = this.locale.split('-')[0].toLowerCase();
+      this.language = MESSAGES[language] ? language : 'en';
+      this.direction = RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+      
+      this.container.setAttribute('lang', this.locale);
+      this.container.setAttribute('dir', this.direction);
+      
+      Chart.defaults.locale = this.locale;
+      Chart.defaults.plugins.legend.rtl = this.direction === 'rtl';
+      Chart.defaults.plugins.tooltip.rtl = this.direction === 'rtl';
+    }
+    
+    t(key, params) {
+      // Look up a UI string in the active language, falling back to English, and fill {placeholders}
+      const messages = MESSAGES[this.language] || MESSAGES.en;
+      const template = key in messages ? messages[key] : (key in MESSAGES.en ? MESSAGES.en[key] : key);
+      
+      return template.replace(/\{(\w+)\}/g, (match, name) => {
+        return params && params[name] !== undefined ? params[name] : match;
+      });
+    }
+    
+    getRoleLabel(role) {
+      // Field role labels double as the English source strings
+      const messages = MESSAGES[this.language] || MESSAGES.en;
+      return messages['role.' + role] || FIELD_ROLES[role].label;
+    }
+    
+    getNumberFormat(options) {
+      // Intl formatters are costly to create and are used for every tick, cell and card
+      const key = 'number|' + this.locale + '|' + JSON.stringify(options || {});
+      if (!this.formatters.has(key)) this.formatters.set(key, new Intl.NumberFormat(this.locale, options));
+      return this.formatters.get(key);
+    }
+    
+    getDateFormat(options) {
+      const key = 'date|' + this.locale + '|' + JSON.stringify(options || {});
+      if (!this.formatters.has(key)) this.formatters.set(key, new Intl.DateTimeFormat(this.locale, options));
+      return this.formatters.get(key);
+    }
+    
+    formatNumber(value, options) {
+      return this.getNumberFormat(options).format(value);
+    }
+    
+    formatDate(date, options) {
+      return this.getDateFormat(options).format(date);
+    }
+    
+    getStyleValue(id) {
+      // Looker Studio passes style elements as { value, defaultValue }
+      const entry = this.style ? this.style[id] : undefined;
+      if (entry && typeof entry === 'object' && ('value' in entry || 'defaultValue' in entry)) {
+        return entry.value !== undefined ? entry.value : entry.defaultValue;
+      }
+      return entry;
+    }
+    
+    resolveFieldRoles() {
+      this.fieldRoles = {};
+      const roles = Object.keys(FIELD_ROLES);
+      const claimed = new Set();
+      const matches = (field, names) => {
+        return names.includes(normalizeName(field.name)) || names.includes(normalizeName(field.id));
+      };
+      const fieldsFor = (role) => {
+        return FIELD_ROLES[role].concept === 'DIMENSION' ? this.dimensions : this.metrics;
+      };
+      
+      // Explicit mappings from the report editor always win
+      roles.forEach(role => {
+        const mapped = normalizeName(this.getStyleValue(getRoleStyleId(role)));
+        if (!mapped) return;
+        const field = fieldsFor(role).find(f => matches(f, [mapped]));
+        if (field) {
+          this.fieldRoles[role] = field;
+          claimed.add(field);
+        }
+      });
+      
+      // Then match remaining roles by name or field ID, and finally by field type
+      roles.forEach(role => {
+        if (this.fieldRoles[role]) return;
+        const definition = FIELD_ROLES[role];
+        const candidates = fieldsFor(role).filter(f => !claimed.has(f));
+        const aliases = definition.aliases.map(normalizeName);
+        
+        let field = null;
+        for (const alias of aliases) {
+          field = candidates.find(f => matches(f, [alias]));
+          if (field) break;
+        }
+        for (const type of definition.types || []) {
+          if (field) break;
+          field = candidates.find(f => f.type === type);
+        }
+        
+        if (field) {
+          this.fieldRoles[role] = field;
+          claimed.add(field);
+        }
+      });
+    }
+    
+    getField(role) {
+      return (this.fieldRoles && this.fieldRoles[role]) || null;
+    }
+    
+    resolveMetricDefinitions() {
+      // Metric -> how it aggregates, with METRIC_DEFINITIONS base roles resolved to bound fields.
+      // Metrics without a definition are summed, or averaged when they're percentages.
+      this.metricDefinitions = new Map();
+      const roleOf = new Map(Object.keys(this.fieldRoles).map(role => [this.fieldRoles[role], role]));
+      
+      this.metrics.forEach(metric => {
+        const definition = METRIC_DEFINITIONS[roleOf.get(metric)];
+        if (!definition) {
+          this.metricDefinitions.set(metric, { aggregate: metric.type === 'PERCENT' ? 'mean' : 'sum' });
+          return;
+        }
+        
+        const numerator = this.getField(definition.numerator);
+        const denominator = this.getField(definition.denominator);
+        const weight = this.getField(definition.weight);
+        
+        if (definition.aggregate === 'ratio' && numerator && denominator) {
+          this.metricDefinitions.set(metric, { aggregate: 'ratio', numerator: numerator, denominator: denominator });
+        } else if (weight || denominator) {
+          this.metricDefinitions.set(metric, { aggregate: 'weighted', weight: weight || denominator });
+        } else {
+          this.metricDefinitions.set(metric, { aggregate: 'mean' });
+        }
+      });
+    }
+    
+    getPeriods() {
+      // Presets end on the latest date in the data (or today without a date dimension)
+      const now = new Date();
+      const latest = this.dateBounds ? this.dateBounds.max : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const custom = this.dateRange === 'custom' && this.customRange;
+      const current = custom ? this.clampToData(this.customRange) : this.getPresetRange(this.dateRange, latest);
+      
+      let previous;
+      if (this.comparisonMode === 'year') {
+        previous = { start: addMonths(current.start, -12), end: addMonths(current.end, -12) };
+      } else if (!custom && CALENDAR_PRESET_MONTHS[this.dateRange]) {
+        previous = this.getPresetRange(this.dateRange, addMonths(latest, -CALENDAR_PRESET_MONTHS[this.dateRange]));
+      } else {
+        const days = Math.round((current.end - current.start) / 86400000) + 1;
+        const end = new Date(current.start);
+        end.setDate(end.getDate() - 1);
+        const start = new Date(end);
+        start.setDate(start.getDate() - (days - 1));
+        previous = { start, end };
+      }
+      
+      return { current, previous };
+    }
+    
+    getPresetRange(preset, end) {
+      const year = end.getFullYear();
+      const month = end.getMonth();
+      
+      switch (preset) {
+        case 'mtd':
+          return { start: new Date(year, month, 1), end: end };
+        case 'lastMonth':
+          return { start: new Date(year, month - 1, 1), end: new Date(year, month, 0) };
+        case 'qtd':
+          return { start: new Date(year, month - month % 3, 1), end: end };
+        case 'ytd':
+          return { start: new Date(year, 0, 1), end: end };
+        default: {
+          const start = new Date(end);
+          start.setDate(start.getDate() - ((parseInt(preset, 10) || 30) - 1));
+          return { start, end };
+        }
+      }
+    }
+    
+    clampToData(range) {
+      // Keep a picked range inside the dates the data covers, start first
+      if (!this.dateBounds) return range;
+      
+      const clamp = (date) => new Date(Math.min(Math.max(date, this.dateBounds.min), this.dateBounds.max));
+      const start = clamp(range.start);
+      const end = clamp(range.end);
+      return start <= end ? { start, end } : { start: end, end: start };
+    }
+    
+    getComparisonLabel() {
+      return this.t(this.comparisonMode === 'year' ? 'comparison.label.year' : 'comparison.label.previous');
+    }
+    
+    getRowIndices(period, options = {}) {
+      // Row indices falling inside the given period ('current' or 'previous')
+      // that pass the active filters; options.except skips the filter on one role
+      if (!this.getField('date')) {
+        return period === 'previous' ? [] : this.getRowIndicesBetween(null, null, options);
+      }
+      
+      const range = this.getPeriods()[period];
+      return this.getRowIndicesBetween(range.start, range.end, options);
+    }
+    
+    getRowIndicesBetween(start, end, options = {}) {
+      // Filtered row indices dated within [start, end]; without a date dimension every row matches
+      const indices = Array.from({ length: this.rowCount }, (_, i) => i)
+        .filter(i => this.matchesFilters(i, options.except));
+      const dateDimension = this.getField('date');
+      
+      if (!dateDimension || !start || !end) return indices;
+      
+      const startKey = toDateKey(start);
+      const endKey = toDateKey(end);
+      
+      return indices.filter(i => {
+        const date = parseDateValue(dateDimension.values[i]);
+        if (!date) return false;
+        const key = toDateKey(date);
+        return key >= startKey && key <= endKey;
+      });
+    }
+    
+    matchesFilters(index, except) {
+      const device = this.getField('device');
+      if (device && except !== 'device' && this.deviceFilter !== 'all') {
+        if (normalizeName(device.values[index]) !== this.deviceFilter) return false;
+      }
+      
+      return Object.keys(this.crossFilters).every(role => {
+        const field = this.getField(role);
+        return role === except || !field || field.values[index] === this.crossFilters[role];
+      });
+    }
+    
+    aggregateMetric(metric, indices) {
+      // Combine a metric over rows as its resolved definition says (see METRIC_DEFINITIONS)
+      const numberAt = (field, i) => {
+        const value = field.values[i];
+        return value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value);
+      };
+      const sumOf = (field) => indices.reduce((sum, i) => sum + (numberAt(field, i) || 0), 0);
+      const definition = this.metricDefinitions.get(metric) || { aggregate: 'sum' };
+      
+      // Resolved ratios come from their base totals even where the ratio column itself is empty.
+      // Undefined without a denominator, e.g. cost per conversion with no conversions
+      if (definition.aggregate === 'ratio') {
+        const denominator = sumOf(definition.denominator);
+        return denominator ? sumOf(definition.numerator) / denominator : null;
+      }
+      
+      const values = indices.map(i => numberAt(metric, i)).filter(value => value !== null);
+      if (!values.length) return null;
+      
+      const total = values.reduce((sum, value) => sum + value, 0);
+      
+      switch (definition.aggregate) {
+        case 'weighted': {
+          let weighted = 0;
+          let weightTotal = 0;
+          indices.forEach(i => {
+            const value = numberAt(metric, i);
+            const weight = numberAt(definition.weight, i);
+            if (value === null || weight === null) return;
+            weighted += value * weight;
+            weightTotal += weight;
+          });
+          return weightTotal > 0 ? weighted / weightTotal : total / values.length;
+        }
+        case 'mean':
+          return total / values.length;
+        default:
+          return total;
+      }
+    }
+    
+    aggregateRole(role, indices) {
+      const field = this.getField(role);
+      if (!field) return null;
+      return this.aggregateMetric(field, indices);
+    }
+    
+    summarize(dimensionRole, metricRoles, indices, options = {}) {
+      // Aggregate metrics per value of a dimension: [{ key, values: { role: value } }].
+      // options.keyOf maps a dimension value to the key it's grouped under.
+      const dimension = this.getField(dimensionRole);
+      if (!dimension) return [];
+      
+      const groups = new Map();
+      indices.forEach(i => {
+        const key = options.keyOf ? options.keyOf(dimension.values[i]) : dimension.values[i];
+        if (key === null || key === undefined || key === '') return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(i);
+      });
+      
+      const rows = Array.from(groups, ([key, groupIndices]) => {
+        const values = {};
+        metricRoles.forEach(role => {
+          values[role] = this.aggregateRole(role, groupIndices);
+        });
+        return { key: key, values: values };
+      });
+      
+      if (options.sortBy) this.sortRows(rows, options.sortBy, options.direction);
+      
+      return options.limit ? rows.slice(0, options.limit) : rows;
+    }
+    
+    summarizeByPeriod(metricRoles, indices, granularity) {
+      // Date buckets in order, keyed by the YYYYMMDD of each day, ISO week, month or quarter's first day
+      return this.summarize('date', metricRoles, indices, {
+        sortBy: 'key',
+        keyOf: (value) => {
+          const date = parseDateValue(value);
+          return date ? toDateKey(startOfPeriod(date, granularity)) : null;
+        }
+      });
+    }
+    
+    sortRows(rows, sortBy, direction) {
+      // Keys sort ascending and metrics descending unless a direction is given; empty values sort last
+      const descending = direction ? direction === 'desc' : sortBy !== 'key';
+      const sign = descending ? -1 : 1;
+      
+      return rows.sort((a, b) => {
+        if (sortBy === 'key') {
+          return String(a.key).localeCompare(String(b.key), undefined, { numeric: true }) * sign;
+        }
+        
+        const x = a.values[sortBy];
+        const y = b.values[sortBy];
+        if (x === null) return y === null ? 0 : 1;
+        if (y === null) return -1;
+        return (x - y) * sign;
+      });
     }
     
     createDashboard() {
@@ -145,6 +2209,9 @@
       // Add date comparison bar
       dashboard.appendChild(this.createDateComparison());
       
+      // Chips for filters set by clicking charts
+      dashboard.appendChild(this.createFilterChips());
+      
       // Add tabs
       dashboard.appendChild(this.createTabs());
       
@@ -169,73 +2236,90 @@
       const header = document.createElement('div');
       header.className = 'flex flex-col md:flex-row justify-between items-center mb-6';
       
+      // The device filter only makes sense when a device dimension is bound
+      const deviceAttributes = this.getField('device') ?
+        '' :
+        `disabled title="${escapeHTML(this.t('filter.deviceUnbound'))}"`;
+      
       header.innerHTML = `
         <div>
-          <h1 class="text-2xl md:text-3xl font-bold text-gray-800">Digital Marketing Analytics Dashboard</h1>
-          <p class="text-gray-600 mt-1">Comprehensive overview of website performance and marketing campaigns</p>
+          <h1 class="text-2xl md:text-3xl font-bold text-gray-800">${this.t('header.title')}</h1>
+          <p class="text-gray-600 mt-1">${this.t('header.subtitle')}</p>
         </div>
         <div class="mt-4 md:mt-0">
-          <div class="flex items-center space-x-4">
+          <div class="flex flex-wrap items-center gap-4">
             <div class="relative">
-              <select id="dateRange" class="bg-white border border-gray-300 rounded-md px-4 py-2 pr-8 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm">
-                <option value="7">Last 7 days</option>
-                <option value="30" selected>Last 30 days</option>
-                <option value="90">Last 90 days</option>
-                <option value="180">Last 6 months</option>
-                <option value="365">Last 12 months</option>
+              <select id="dateRange" class="bg-white border border-gray-300 rounded-md px-4 py-2 pe-8 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm">
+                ${DATE_PRESETS
+                  .map(value => `<option value="${value}"${this.dateRange === value ? ' selected' : ''}>${this.t('range.' + value)}</option>`).join('')}
+                <option value="custom"${this.dateRange === 'custom' ? ' selected' : ''}${this.dateBounds ? '' : ' disabled'}>${this.t('range.custom')}</option>
               </select>
             </div>
+            <div id="customDateRange" class="flex items-center gap-2 text-sm hidden">
+              <input type="date" id="dateRangeStart" class="bg-white border border-gray-300 rounded-md px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500" aria-label="${escapeHTML(this.t('range.start'))}">
+              <span class="text-gray-500">&ndash;</span>
+              <input type="date" id="dateRangeEnd" class="bg-white border border-gray-300 rounded-md px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500" aria-label="${escapeHTML(this.t('range.end'))}">
+            </div>
             <div class="relative">
-              <select id="deviceFilter" class="bg-white border border-gray-300 rounded-md px-4 py-2 pr-8 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm">
-                <option value="all" selected>All Devices</option>
-                <option value="desktop">Desktop</option>
-                <option value="mobile">Mobile</option>
-                <option value="tablet">Tablet</option>
+              <select id="deviceFilter" class="bg-white border border-gray-300 rounded-md px-4 py-2 pe-8 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm disabled:opacity-50 disabled:cursor-not-allowed" ${deviceAttributes}>
+                ${this.createDeviceOptions()}
               </select>
             </div>
             <button id="exportPDF" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors">
-              Export PDF
+              ${this.t('export.pdf')}
             </button>
           </div>
         </div>
       `;
       
+      this.updateDateRangePicker(header);
       return header;
     }
     
+    updateDateRangePicker(root) {
+      // The start/end inputs only show for a custom range, and only offer dates the data covers
+      const picker = (root || this.container).querySelector('#customDateRange');
+      if (!picker) return;
+      
+      const custom = this.dateRange === 'custom' && !!this.dateBounds;
+      picker.classList.toggle('hidden', !custom);
+      if (!custom) return;
+      
+      const period = this.getPeriods().current;
+      const start = picker.querySelector('#dateRangeStart');
+      const end = picker.querySelector('#dateRangeEnd');
+      start.value = toInputValue(period.start);
+      start.min = toInputValue(this.dateBounds.min);
+      start.max = toInputValue(period.end);
+      end.value = toInputValue(period.end);
+      end.min = toInputValue(period.start);
+      end.max = toInputValue(this.dateBounds.max);
+    }
+    
     createDateComparison() {
       const dateComp = document.createElement('div');
       dateComp.className = 'bg-blue-50 p-4 rounded-lg mb-6 flex items-center justify-between';
       
-      // Get current date and previous period
-      const now = new Date();
-      const currentPeriodEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      const currentPeriodStart = new Date(currentPeriodEnd);
-      currentPeriodStart.setDate(currentPeriodStart.getDate() - parseInt(this.dateRange));
-      
-      const prevPeriodEnd = new Date(currentPeriodStart);
-      prevPeriodEnd.setDate(prevPeriodEnd.getDate() - 1);
-      const prevPeriodStart = new Date(prevPeriodEnd);
-      prevPeriodStart.setDate(prevPeriodStart.getDate() - parseInt(this.dateRange));
-      
-      // Format dates
-      const formatDate = (date) => {
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-      };
+      // Get current and previous period
+      const periods = this.getPeriods();
       
       dateComp.innerHTML = `
         <div class="flex items-center">
-          <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-blue-600 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-blue-600 me-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
           </svg>
-          <span class="text-blue-800 font-medium">${formatDate(currentPeriodStart)} - ${formatDate(currentPeriodEnd)}</span>
-          <span class="mx-2 text-gray-500">vs</span>
-          <span class="text-gray-600">${formatDate(prevPeriodStart)} - ${formatDate(prevPeriodEnd)}</span>
+          <span class="text-blue-800 font-medium" data-period="current">${this.formatPeriod(periods.current)}</span>
+          <span class="mx-2 text-gray-500">${this.t('comparison.vs')}</span>
+          <span class="text-gray-600" data-period="previous">${this.formatPeriod(periods.previous)}</span>
         </div>
-        <div>
+        <div class="flex items-center gap-3">
+          <select id="comparisonMode" class="bg-white border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm">
+            <option value="previous"${this.comparisonMode === 'previous' ? ' selected' : ''}>${this.t('comparison.previous')}</option>
+            <option value="year"${this.comparisonMode === 'year' ? ' selected' : ''}>${this.t('comparison.year')}</option>
+          </select>
           <button id="comparisonToggle" class="text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center">
-            <span>Show comparison</span>
-            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 ml-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <span>${this.t(this.showComparison ? 'comparison.hide' : 'comparison.show')}</span>
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 ms-1 transform${this.showComparison ? ' rotate-180' : ''}" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7" />
             </svg>
           </button>
@@ -245,28 +2329,183 @@
       return dateComp;
     }
     
-    createTabs() {
-      const tabsContainer = document.createElement('div');
-      tabsContainer.className = 'mb-6 border-b border-gray-200';
-      
-      tabsContainer.innerHTML = `
-        <ul class="flex flex-wrap -mb-px text-sm font-medium text-center">
-          <li class="mr-2">
-            <a href="#" class="inline-block p-4 tab-active" data-tab="overview">Overview</a>
-          </li>
-          <li class="mr-2">
-            <a href="#" class="inline-block p-4 text-gray-500 hover:text-gray-700" data-tab="ga4">Google Analytics</a>
-          </li>
-          <li class="mr-2">
-            <a href="#" class="inline-block p-4 text-gray-500 hover:text-gray-700" data-tab="gsc">Search Console</a>
-          </li>
-          <li class="mr-2">
-            <a href="#" class="inline-block p-4 text-gray-500 hover:text-gray-700" data-tab="ads">Google Ads</a>
-          </li>
-        </ul>
-      `;
+    formatPeriod(period) {
+      // formatRange collapses shared parts the way the locale expects ("Sep 1 – 30, 2026")
+      const format = this.getDateFormat({ month: 'short', day: 'numeric', year: 'numeric' });
+      return format.formatRange ?
+        format.formatRange(period.start, period.end) :
+        `${format.format(period.start)} – ${format.format(period.end)}`;
+    }
+    
+    updateDateComparison() {
+      const periods = this.getPeriods();
       
-      return tabsContainer;
+      ['current', 'previous'].forEach(period => {
+        const label = this.container.querySelector(`[data-period="${period}"]`);
+        if (label) label.textContent = this.formatPeriod(periods[period]);
+      });
+    }
+    
+    createFilterChips() {
+      const chipBar = document.createElement('div');
+      chipBar.dataset.section = 'filterChips';
+      
+      const chips = this.getCrossFilterSelections();
+      if (!chips.length) return chipBar;
+      
+      chipBar.className = 'flex flex-wrap items-center gap-2 mb-6 text-sm';
+      chipBar.innerHTML = `
+        <span class="text-gray-500">${this.t('filter.filteredBy')}</span>
+        ${chips.map(chip => `
+        <span class="inline-flex items-center bg-blue-50 text-blue-800 border border-blue-100 rounded-full ps-3 pe-1 py-0.5">
+          ${this.getRoleLabel(chip.role)}: <span class="font-medium ms-1">${escapeHTML(chip.value)}</span>
+          <button type="button" class="ms-1 px-1 text-blue-600 hover:text-blue-800" data-clear-filter="${chip.role}" title="${escapeHTML(this.t('filter.remove'))}">&times;</button>
+        </span>`).join('')}
+        <button type="button" class="text-blue-600 hover:text-blue-800 font-medium" data-clear-filter="all">${this.t('filter.clearAll')}</button>
+      `;
+      
+      chipBar.querySelectorAll('[data-clear-filter]').forEach(button => {
+        button.addEventListener('click', () => {
+          const role = button.getAttribute('data-clear-filter');
+          (role === 'all' ? chips.map(chip => chip.role) : [role]).forEach(item => this.setCrossFilter(item, null));
+          this.sendFilterInteraction();
+          this.refresh();
+        });
+      });
+      
+      return chipBar;
+    }
+    
+    getCrossFilterSelections() {
+      // Active chart selections as [{ role, value }], with the device filter under its raw data value
+      const selections = Object.keys(this.crossFilters).map(role => ({ role: role, value: this.crossFilters[role] }));
+      
+      const device = this.getField('device');
+      if (device && this.deviceFilter !== 'all') {
+        const value = device.values.find(item => normalizeName(item) === this.deviceFilter);
+        selections.unshift({ role: 'device', value: value !== undefined ? value : this.deviceFilter });
+      }
+      
+      return selections;
+    }
+    
+    setCrossFilter(role, value) {
+      // The device filter doubles as the device chart's selection and stays in sync with its dropdown
+      if (role === 'device') {
+        this.deviceFilter = value === null ? 'all' : normalizeName(value);
+        this.updateDeviceFilter();
+      } else if (value === null) {
+        delete this.crossFilters[role];
+      } else {
+        this.crossFilters[role] = value;
+      }
+    }
+    
+    getDeviceOptions() {
+      // The standard devices, then any other device in the data or the current selection
+      const values = ['all', 'desktop', 'mobile', 'tablet'];
+      const device = this.getField('device');
+      (device ? device.values.map(normalizeName) : []).concat(this.deviceFilter).forEach(value => {
+        if (value && !values.includes(value)) values.push(value);
+      });
+      return values;
+    }
+    
+    getDeviceLabel(value) {
+      // Catalog devices are translated; others show as they appear in the data
+      if ('device.' + value in MESSAGES.en) return this.t('device.' + value);
+      const device = this.getField('device');
+      const raw = device && device.values.find(item => normalizeName(item) === value);
+      return raw !== undefined && raw !== null ? String(raw) : value;
+    }
+    
+    createDeviceOptions() {
+      return this.getDeviceOptions()
+        .map(value => `<option value="${escapeHTML(value)}"${this.deviceFilter === value ? ' selected' : ''}>${escapeHTML(this.getDeviceLabel(value))}</option>`).join('');
+    }
+    
+    updateDeviceFilter() {
+      // Refill the dropdown so a chart-picked or newly arrived device always has an option
+      const deviceFilter = document.getElementById('deviceFilter');
+      if (!deviceFilter) return;
+      deviceFilter.innerHTML = this.createDeviceOptions();
+      deviceFilter.value = this.deviceFilter;
+    }
+    
+    getCrossFilterValue(role) {
+      if (role !== 'device') return this.crossFilters[role];
+      const selection = this.getCrossFilterSelections().find(item => item.role === 'device');
+      return selection ? selection.value : undefined;
+    }
+    
+    handleChartClick(id, elements) {
+      // Clicking an element filters on its label; clicking the selected one again clears it
+      const chart = this.charts[id];
+      if (!chart || !elements.length) return;
+      
+      const role = CHART_DIMENSIONS[id];
+      const value = chart.data.labels[elements[0].index];
+      this.setCrossFilter(role, this.getCrossFilterValue(role) === value ? null : value);
+      this.sendFilterInteraction();
+      this.refresh();
+    }
+    
+    getCrossFilterOptions(id) {
+      // Chart.js click and hover handlers shared by the cross-filtering charts
+      return {
+        onClick: (event, elements) => this.handleChartClick(id, elements),
+        onHover: (event, elements) => {
+          if (event.native && event.native.target) {
+            event.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+          }
+        }
+      };
+    }
+    
+    sendFilterInteraction() {
+      // Mirror the selection to Looker Studio so other report components filter too
+      if (typeof dscc === 'undefined' || !dscc.sendInteraction) return;
+      
+      const selections = this.getCrossFilterSelections().filter(selection => this.getField(selection.role));
+      
+      try {
+        if (!selections.length) {
+          dscc.clearInteraction(INTERACTION_ID, dscc.InteractionType.FILTER);
+          return;
+        }
+        
+        dscc.sendInteraction(INTERACTION_ID, dscc.InteractionType.FILTER, {
+          concepts: selections.map(selection => this.getField(selection.role).id),
+          values: [selections.map(selection => selection.value)]
+        });
+      } catch (error) {
+        // Interactions are unavailable until the report editor enables them
+        console.warn('Could not send filter interaction:', error);
+      }
+    }
+    
+    createTabs() {
+      const tabsContainer = document.createElement('div');
+      tabsContainer.className = 'mb-6 border-b border-gray-200';
+      
+      tabsContainer.innerHTML = `
+        <ul class="flex flex-wrap -mb-px text-sm font-medium text-center">
+          <li class="me-2">
+            <a href="#" class="inline-block p-4 tab-active" data-tab="overview">${this.t('tab.overview')}</a>
+          </li>
+          <li class="me-2">
+            <a href="#" class="inline-block p-4 text-gray-500 hover:text-gray-700" data-tab="ga4">${this.t('tab.ga4')}</a>
+          </li>
+          <li class="me-2">
+            <a href="#" class="inline-block p-4 text-gray-500 hover:text-gray-700" data-tab="gsc">${this.t('tab.gsc')}</a>
+          </li>
+          <li class="me-2">
+            <a href="#" class="inline-block p-4 text-gray-500 hover:text-gray-700" data-tab="ads">${this.t('tab.ads')}</a>
+          </li>
+        </ul>
+      `;
+      
+      return tabsContainer;
     }
     
     createOverviewTab() {
@@ -287,26 +2526,10 @@
       chartsRow.className = 'grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6';
       
       // Traffic Over Time chart
-      const trafficChart = document.createElement('div');
-      trafficChart.className = 'card p-4';
-      trafficChart.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Traffic Over Time</h3>
-        <div class="h-64">
-          <canvas id="trafficChart"></canvas>
-        </div>
-      `;
-      chartsRow.appendChild(trafficChart);
+      chartsRow.appendChild(this.createChartCard('trafficChart', this.t('chart.trafficChart')));
       
       // Clicks & Impressions chart
-      const searchChart = document.createElement('div');
-      searchChart.className = 'card p-4';
-      searchChart.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Search Clicks & Impressions</h3>
-        <div class="h-64">
-          <canvas id="searchChart"></canvas>
-        </div>
-      `;
-      chartsRow.appendChild(searchChart);
+      chartsRow.appendChild(this.createChartCard('searchChart', this.t('chart.searchChart')));
       
       tab.appendChild(chartsRow);
       
@@ -315,37 +2538,13 @@
       thirdRow.className = 'grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6';
       
       // Traffic by Source chart
-      const sourceChart = document.createElement('div');
-      sourceChart.className = 'card p-4';
-      sourceChart.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Traffic by Source</h3>
-        <div class="h-64">
-          <canvas id="sourceChart"></canvas>
-        </div>
-      `;
-      thirdRow.appendChild(sourceChart);
+      thirdRow.appendChild(this.createChartCard('sourceChart', this.t('chart.sourceChart')));
       
       // Device Category chart
-      const deviceChart = document.createElement('div');
-      deviceChart.className = 'card p-4';
-      deviceChart.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Users by Device</h3>
-        <div class="h-64">
-          <canvas id="deviceChart"></canvas>
-        </div>
-      `;
-      thirdRow.appendChild(deviceChart);
+      thirdRow.appendChild(this.createChartCard('deviceChart', this.t('chart.deviceChart')));
       
       // Ad Performance chart
-      const adChart = document.createElement('div');
-      adChart.className = 'card p-4';
-      adChart.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Ad Performance</h3>
-        <div class="h-64">
-          <canvas id="adChart"></canvas>
-        </div>
-      `;
-      thirdRow.appendChild(adChart);
+      thirdRow.appendChild(this.createChartCard('adChart', this.t('chart.adChart')));
       
       tab.appendChild(thirdRow);
       
@@ -357,83 +2556,117 @@
       const adCampaignsTable = this.createAdCampaignsTable();
       tab.appendChild(adCampaignsTable);
       
-      // AI Insights
-      const aiInsights = this.createAIInsights();
-      tab.appendChild(aiInsights);
+      // Insights generated from the bound data
+      tab.appendChild(this.createInsights());
       
       return tab;
     }
     
+    createChartCard(id, title) {
+      const chartCard = document.createElement('div');
+      chartCard.className = 'card p-4';
+      chartCard.dataset.widget = id;
+      chartCard.innerHTML = `
+        <h3 class="text-lg font-semibold mb-4">${escapeHTML(title)}</h3>
+        <div class="h-64">
+          <canvas id="${id}"></canvas>
+        </div>
+      `;
+      this.addExportMenu(chartCard, { chart: id });
+      if (CHART_DIMENSIONS[id] === 'date') this.addGranularityToggle(chartCard, id);
+      
+      return chartCard;
+    }
+    
+    addGranularityToggle(card, id) {
+      // Day / week / month / quarter buttons beside the export menu, never finer than the date field
+      const options = this.getGranularityOptions();
+      if (!this.getField('date') || options.length < 2) return;
+      
+      const toggle = document.createElement('div');
+      toggle.className = 'inline-flex ms-auto me-3 border border-gray-200 rounded-md overflow-hidden text-xs';
+      toggle.dataset.granularityToggle = id;
+      toggle.setAttribute('role', 'group');
+      toggle.setAttribute('aria-label', this.t('granularity.label'));
+      toggle.innerHTML = options.map(granularity => `
+        <button type="button" class="px-2 py-1 hover:bg-gray-50" data-granularity="${granularity}">${this.t('granularity.' + granularity)}</button>
+      `).join('');
+      
+      const updateButtons = () => {
+        const active = this.getChartGranularity(id);
+        toggle.querySelectorAll('[data-granularity]').forEach(button => {
+          const selected = button.getAttribute('data-granularity') === active;
+          button.classList.toggle('bg-blue-50', selected);
+          button.classList.toggle('text-blue-600', selected);
+          button.classList.toggle('text-gray-500', !selected);
+          button.setAttribute('aria-pressed', String(selected));
+        });
+      };
+      
+      toggle.querySelectorAll('[data-granularity]').forEach(button => {
+        button.addEventListener('click', () => {
+          this.chartGranularity[id] = button.getAttribute('data-granularity');
+          updateButtons();
+          this.updateCharts([id]);
+        });
+      });
+      
+      updateButtons();
+      card.firstElementChild.insertBefore(toggle, card.querySelector('.export-menu'));
+    }
+    
+    getGranularityOptions() {
+      // GRANULARITIES from the date field's own granularity up; none for yearly data
+      const native = GRANULARITIES.indexOf(this.dateGranularity);
+      return native === -1 ? [] : GRANULARITIES.slice(native);
+    }
+    
+    getChartGranularity(id) {
+      // The granularity picked on a trend chart, falling back to the finest the data allows
+      const options = this.getGranularityOptions();
+      const picked = this.chartGranularity[id];
+      return options.includes(picked) ? picked : options[0] || this.dateGranularity;
+    }
+    
+    getTimeScale(id) {
+      // Luxon time axis stepping in the chart's granularity; ticks use the dashboard's date formats
+      const granularity = this.getChartGranularity(id);
+      return {
+        type: 'time',
+        adapters: {
+          date: { locale: this.locale }
+        },
+        time: {
+          unit: granularity,
+          isoWeekday: true
+        },
+        ticks: {
+          callback: (value) => this.formatPeriodLabel(value, granularity)
+        }
+      };
+    }
+    
+    describePeriod(id, items) {
+      // Tooltip title naming the hovered day, week, month or quarter
+      return items.length ? this.formatPeriodLabel(items[0].parsed.x, this.getChartGranularity(id), true) : '';
+    }
+    
     createScorecards() {
       const scorecardsContainer = document.createElement('div');
       scorecardsContainer.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6';
+      scorecardsContainer.dataset.section = 'scorecards';
       
       // Define scorecard data
       const scorecardData = [
-        {
-          name: 'Users',
-          value: '24,582',
-          change: '+12.4%',
-          positive: true,
-          icon: 'user'
-        },
-        {
-          name: 'Sessions',
-          value: '32,145',
-          change: '+8.7%',
-          positive: true,
-          icon: 'shield'
-        },
-        {
-          name: 'Search Clicks',
-          value: '18,743',
-          change: '-3.2%',
-          positive: false,
-          icon: 'search'
-        },
-        {
-          name: 'Ad Conversions',
-          value: '1,284',
-          change: '+15.8%',
-          positive: true,
-          icon: 'check-circle'
-        }
+        { role: 'users', icon: 'user' },
+        { role: 'sessions', icon: 'shield' },
+        { role: 'searchClicks', icon: 'search' },
+        { role: 'adConversions', icon: 'check-circle' }
       ];
       
       // Create each scorecard
       scorecardData.forEach(data => {
-        const scorecard = document.createElement('div');
-        scorecard.className = 'card p-4 scorecard';
-        
-        const changeClass = data.positive ? 'text-green-600' : 'text-red-600';
-        const changeIcon = data.positive ? 
-          '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 10l7-7m0 0l7 7m-7-7v18" />' :
-          '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 14l-7 7m0 0l-7-7m7 7V3" />';
-        
-        scorecard.innerHTML = `
-          <div class="flex justify-between items-start">
-            <div>
-              <p class="text-sm text-gray-500 mb-1">${data.name}</p>
-              <h3 class="text-2xl font-bold">${data.value}</h3>
-              <div class="flex items-center mt-1">
-                <span class="${changeClass} text-sm font-medium flex items-center">
-                  <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    ${changeIcon}
-                  </svg>
-                  ${data.change}
-                </span>
-                <span class="text-xs text-gray-500 ml-1">vs previous period</span>
-              </div>
-            </div>
-            <div class="bg-blue-50 p-2 rounded-lg">
-              <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                ${this.getIconPath(data.icon)}
-              </svg>
-            </div>
-          </div>
-        `;
-        
-        scorecardsContainer.appendChild(scorecard);
+        scorecardsContainer.appendChild(this.createKpiCard(data));
       });
       
       return scorecardsContainer;
@@ -442,305 +2675,835 @@
     createSecondRowKPIs() {
       const kpisContainer = document.createElement('div');
       kpisContainer.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6';
+      kpisContainer.dataset.section = 'secondRowKPIs';
       
       // Define KPI data
       const kpiData = [
-        {
-          name: 'Avg. Engagement Time',
-          value: '2:45',
-          change: '+5.2%',
-          positive: true,
-          icon: 'clock'
-        },
-        {
-          name: 'Bounce Rate',
-          value: '42.8%',
-          change: '-2.1%',
-          positive: true,
-          icon: 'chart-line'
-        },
-        {
-          name: 'Avg. Position',
-          value: '14.3',
-          change: '+1.8',
-          positive: true,
-          icon: 'arrow-up'
-        },
-        {
-          name: 'Ad Spend',
-          value: '$8,452',
-          change: '+7.3%',
-          positive: false,
-          icon: 'currency-dollar'
-        }
+        { role: 'engagementTime', icon: 'clock' },
+        { role: 'bounceRate', icon: 'chart-line' },
+        { role: 'position', icon: 'arrow-up' },
+        { role: 'cost', icon: 'currency-dollar' }
       ];
       
       // Create each KPI card
       kpiData.forEach(data => {
-        const kpiCard = document.createElement('div');
-        kpiCard.className = 'card p-4 scorecard';
-        
-        const changeClass = data.positive ? 'text-green-600' : 'text-red-600';
-        const changeIcon = data.positive ? 
-          '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 10l7-7m0 0l7 7m-7-7v18" />' :
-          '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 14l-7 7m0 0l-7-7m7 7V3" />';
-        
+        kpisContainer.appendChild(this.createKpiCard(data));
+      });
+      
+      return kpisContainer;
+    }
+    
+    createKpiCard(data) {
+      const kpiCard = document.createElement('div');
+      kpiCard.className = 'card p-4 scorecard';
+      
+      const definition = FIELD_ROLES[data.role];
+      const metric = this.getField(data.role);
+      
+      // Metrics that aren't bound get an explicit unmapped state instead of a value
+      if (!metric) {
+        kpiCard.classList.add('scorecard-unmapped');
         kpiCard.innerHTML = `
           <div class="flex justify-between items-start">
             <div>
-              <p class="text-sm text-gray-500 mb-1">${data.name}</p>
-              <h3 class="text-2xl font-bold">${data.value}</h3>
+              <p class="text-sm text-gray-500 mb-1">${this.getRoleLabel(data.role)}</p>
+              <h3 class="text-2xl font-bold text-gray-300">&mdash;</h3>
               <div class="flex items-center mt-1">
-                <span class="${changeClass} text-sm font-medium flex items-center">
-                  <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    ${changeIcon}
-                  </svg>
-                  ${data.change}
-                </span>
-                <span class="text-xs text-gray-500 ml-1">vs previous period</span>
+                <span class="text-xs text-gray-400">${this.t('kpi.unmapped')}</span>
               </div>
             </div>
-            <div class="bg-blue-50 p-2 rounded-lg">
-              <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <div class="bg-gray-50 p-2 rounded-lg">
+              <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 text-gray-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 ${this.getIconPath(data.icon)}
               </svg>
             </div>
           </div>
         `;
+        return kpiCard;
+      }
+      
+      const current = this.aggregateRole(data.role, this.getRowIndices('current'));
+      const previous = this.aggregateRole(data.role, this.getRowIndices('previous'));
+      const change = this.formatChange(current, previous, definition);
+      
+      let changeMarkup = `<span class="text-xs text-gray-400">${this.t('kpi.noComparison', { comparison: this.getComparisonLabel() })}</span>`;
+      if (change) {
+        const changeClass = change.positive ? 'text-green-600' : 'text-red-600';
+        const changeIcon = change.increase ? 
+          '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 10l7-7m0 0l7 7m-7-7v18" />' :
+          '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 14l-7 7m0 0l-7-7m7 7V3" />';
         
-        kpisContainer.appendChild(kpiCard);
+        changeMarkup = `
+                <span class="${changeClass} text-sm font-medium flex items-center">
+                  <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 me-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    ${changeIcon}
+                  </svg>
+                  ${change.text}
+                </span>
+                <span class="text-xs text-gray-500 ms-1">${this.t('kpi.versus', { comparison: this.getComparisonLabel() })}</span>
+        `;
+      }
+      
+      // Month- or quarter-end projection when forecasting is switched on
+      const projection = this.getProjectedTotal(data.role);
+      const projectionMarkup = projection ? `
+            <p class="text-xs text-gray-500 mt-2">
+              ${this.t('kpi.projected', { period: projection.label })} <span class="font-medium">${this.formatMetricValue(projection.total, metric.type)}</span>
+              (${this.formatMetricValue(projection.lower, metric.type, 'compact')}&ndash;${this.formatMetricValue(projection.upper, metric.type, 'compact')})
+            </p>` : '';
+      
+      kpiCard.innerHTML = `
+        <div class="flex justify-between items-start">
+          <div>
+            <p class="text-sm text-gray-500 mb-1">${this.getRoleLabel(data.role)}</p>
+            <h3 class="text-2xl font-bold">${this.formatMetricValue(current, metric.type, definition.format)}</h3>
+            <div class="flex items-center mt-1">
+              ${changeMarkup}
+            </div>${projectionMarkup}
+          </div>
+          <div class="bg-blue-50 p-2 rounded-lg">
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              ${this.getIconPath(data.icon)}
+            </svg>
+          </div>
+        </div>
+      `;
+      
+      return kpiCard;
+    }
+    
+    formatMetricValue(value, type, format) {
+      if (value === null || value === undefined || isNaN(value)) return '&mdash;';
+      
+      if (format === 'duration') {
+        // Minutes and seconds as locale units ("2m 05s", "2 Min., 05 Sek.")
+        const totalSeconds = Math.round(value);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = this.formatNumber(totalSeconds % 60, { style: 'unit', unit: 'second', unitDisplay: 'narrow', minimumIntegerDigits: minutes ? 2 : 1 });
+        return minutes ? `${this.formatNumber(minutes, { style: 'unit', unit: 'minute', unitDisplay: 'narrow' })} ${seconds}` : seconds;
+      }
+      
+      if (type === 'PERCENT') {
+        return this.formatNumber(value, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+      }
+      
+      // 'compact' abbreviates large numbers (12.3K) for dense table columns
+      const compact = format === 'compact' ? { notation: 'compact', maximumFractionDigits: 1 } : {};
+      
+      // Looker Studio currency types carry the ISO code, e.g. CURRENCY_EUR
+      if (type && type.indexOf('CURRENCY') === 0) {
+        const currency = type.split('_')[1] || 'USD';
+        return this.formatNumber(value, Object.assign({
+          style: 'currency',
+          currency: currency,
+          maximumFractionDigits: Math.abs(value) >= 100 ? 0 : 2
+        }, compact));
+      }
+      
+      return this.formatNumber(value, Object.assign({ maximumFractionDigits: 1 }, compact));
+    }
+    
+    formatChange(current, previous, data) {
+      if (current === null || previous === null) return null;
+      
+      const delta = current - previous;
+      if (data.change !== 'absolute' && previous === 0) return null;
+      
+      // Round before signing so tiny moves don't read "-0.0%"
+      const rounded = data.change === 'absolute' ?
+        Math.round(delta * 10) / 10 :
+        Math.round(delta / Math.abs(previous) * 1000) / 1000;
+      const format = (value, signDisplay) => this.formatNumber(value || 0, {
+        style: data.change === 'absolute' ? 'decimal' : 'percent',
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1,
+        signDisplay: signDisplay
       });
       
-      return kpisContainer;
+      return {
+        text: format(rounded, 'exceptZero'),
+        amount: format(Math.abs(rounded), 'never'),
+        moved: rounded !== 0,
+        increase: delta >= 0,
+        positive: data.lowerIsBetter ? delta <= 0 : delta >= 0
+      };
     }
     
     createTablesRow() {
       const tablesRow = document.createElement('div');
       tablesRow.className = 'grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6';
+      tablesRow.dataset.section = 'tablesRow';
       
       // Top Landing Pages table
-      const landingPagesTable = document.createElement('div');
-      landingPagesTable.className = 'card p-4';
-      landingPagesTable.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Top Landing Pages</h3>
-        <div class="overflow-x-auto">
-          <table class="w-full">
-            <thead>
-              <tr>
-                <th>Page</th>
-                <th>Users</th>
-                <th>Bounce Rate</th>
-                <th>Avg. Time</th>
-              </tr>
-            </thead>
-            <tbody>
-              <tr>
-                <td class="text-blue-600">/homepage</td>
-                <td>8,452</td>
-                <td>32.4%</td>
-                <td>3:12</td>
-              </tr>
-              <tr>
-                <td class="text-blue-600">/products</td>
-                <td>4,271</td>
-                <td>41.7%</td>
-                <td>2:45</td>
-              </tr>
-              <tr>
-                <td class="text-blue-600">/blog/seo-tips</td>
-                <td>3,845</td>
-                <td>28.9%</td>
-                <td>4:32</td>
-              </tr>
-              <tr>
-                <td class="text-blue-600">/services</td>
-                <td>2,937</td>
-                <td>35.2%</td>
-                <td>2:18</td>
-              </tr>
-              <tr>
-                <td class="text-blue-600">/contact</td>
-                <td>1,842</td>
-                <td>45.8%</td>
-                <td>1:47</td>
-              </tr>
-            </tbody>
-          </table>
-        </div>
-      `;
+      const landingPagesTable = this.createDataTable({
+        id: 'landingPages',
+        title: this.t('table.landingPages'),
+        dimension: 'landingPage',
+        dimensionLabel: this.t('column.page'),
+        keyClass: 'text-blue-600',
+        columns: [
+          { role: 'users', label: this.t('column.users') },
+          { role: 'bounceRate', label: this.t('column.bounceRate') },
+          { role: 'engagementTime', label: this.t('column.avgTime') }
+        ]
+      });
       tablesRow.appendChild(landingPagesTable);
       
       // Top Search Queries table
-      const searchQueriesTable = document.createElement('div');
-      searchQueriesTable.className = 'card p-4';
-      searchQueriesTable.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Top Search Queries</h3>
-        <div class="overflow-x-auto">
-          <table class="w-full">
-            <thead>
-              <tr>
-                <th>Query</th>
-                <th>Clicks</th>
-                <th>Impressions</th>
-                <th>CTR</th>
-                <th>Position</th>
-              </tr>
-            </thead>
-            <tbody>
-              <tr>
-                <td>digital marketing dashboard</td>
-                <td>1,245</td>
-                <td>15,782</td>
-                <td>7.9%</td>
-                <td>3.2</td>
-              </tr>
-              <tr>
-                <td>marketing analytics tools</td>
-                <td>987</td>
-                <td>12,453</td>
-                <td>7.9%</td>
-                <td>4.7</td>
-              </tr>
-              <tr>
-                <td>seo reporting dashboard</td>
-                <td>854</td>
-                <td>9,874</td>
-                <td>8.6%</td>
-                <td>5.3</td>
-              </tr>
-              <tr>
-                <td>google analytics 4 reports</td>
-                <td>742</td>
-                <td>8,521</td>
-                <td>8.7%</td>
-                <td>6.1</td>
-              </tr>
-              <tr>
-                <td>marketing performance metrics</td>
-                <td>631</td>
-                <td>7,845</td>
-                <td>8.0%</td>
-                <td>7.4</td>
-              </tr>
-            </tbody>
-          </table>
-        </div>
-      `;
+      const searchQueriesTable = this.createDataTable({
+        id: 'searchQueries',
+        title: this.t('table.searchQueries'),
+        dimension: 'query',
+        dimensionLabel: this.t('column.query'),
+        columns: [
+          { role: 'searchClicks', label: this.t('column.clicks') },
+          { role: 'searchImpressions', label: this.t('column.impressions'), format: 'compact' },
+          { role: 'searchCtr', label: this.t('column.ctr') },
+          { role: 'position', label: this.t('column.position') }
+        ]
+      });
       tablesRow.appendChild(searchQueriesTable);
       
       return tablesRow;
     }
     
     createAdCampaignsTable() {
-      const adCampaignsTable = document.createElement('div');
-      adCampaignsTable.className = 'card p-4 mb-6';
-      adCampaignsTable.innerHTML = `
-        <h3 class="text-lg font-semibold mb-4">Top Ad Campaigns</h3>
-        <div class="overflow-x-auto">
-          <table class="w-full">
-            <thead>
-              <tr>
-                <th>Campaign</th>
-                <th>Clicks</th>
-                <th>Impressions</th>
-                <th>CTR</th>
-                <th>Cost</th>
-                <th>Conversions</th>
-                <th>Cost/Conv.</th>
-              </tr>
-            </thead>
-            <tbody>
-              <tr>
-                <td>Brand Awareness</td>
-                <td>4,521</td>
-                <td>125,478</td>
-                <td>3.6%</td>
-                <td>$2,845</td>
-                <td>387</td>
-                <td>$7.35</td>
-              </tr>
-              <tr>
-                <td>Product Promotion</td>
-                <td>3,874</td>
-                <td>98,745</td>
-                <td>3.9%</td>
-                <td>$2,154</td>
-                <td>312</td>
-                <td>$6.90</td>
-              </tr>
-              <tr>
-                <td>Remarketing</td>
-                <td>2,987</td>
-                <td>45,871</td>
-                <td>6.5%</td>
-                <td>$1,745</td>
-                <td>284</td>
-                <td>$6.14</td>
-              </tr>
-              <tr>
-                <td>Search Campaign</td>
-                <td>2,541</td>
-                <td>32,458</td>
-                <td>7.8%</td>
-                <td>$1,254</td>
-                <td>198</td>
-                <td>$6.33</td>
-              </tr>
-              <tr>
-                <td>Display Network</td>
-                <td>1,874</td>
-                <td>87,542</td>
-                <td>2.1%</td>
-                <td>$954</td>
-                <td>103</td>
-                <td>$9.26</td>
-              </tr>
-            </tbody>
-          </table>
-        </div>
-      `;
+      const adCampaignsTable = this.createDataTable({
+        id: 'adCampaigns',
+        title: this.t('table.adCampaigns'),
+        dimension: 'campaign',
+        dimensionLabel: this.t('column.campaign'),
+        columns: [
+          { role: 'adClicks', label: this.t('column.clicks') },
+          { role: 'adImpressions', label: this.t('column.impressions'), format: 'compact' },
+          { role: 'adCtr', label: this.t('column.ctr') },
+          { role: 'cost', label: this.t('column.cost') },
+          { role: 'adConversions', label: this.t('column.conversions') },
+          { role: 'costPerConversion', label: this.t('column.costPerConversion') }
+        ],
+        className: 'mb-6',
+        section: 'adCampaigns'
+      });
       
       return adCampaignsTable;
     }
     
-    createAIInsights() {
-      const aiInsights = document.createElement('div');
-      aiInsights.className = 'card p-4 mb-6 bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-100';
+    createDataTable(config) {
+      const tableCard = document.createElement('div');
+      tableCard.className = 'card p-4' + (config.className ? ' ' + config.className : '');
+      tableCard.dataset.widget = config.id;
+      if (config.section) tableCard.dataset.section = config.section;
       
-      aiInsights.innerHTML = `
-        <div class="flex items-start">
-          <div class="bg-blue-100 p-2 rounded-lg mr-4">
-            <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
-            </svg>
+      // Only columns whose metric is bound are shown
+      const columns = config.columns.filter(column => this.getField(column.role));
+      
+      if (!this.getField(config.dimension) || !columns.length) {
+        tableCard.innerHTML = `
+          <h3 class="text-lg font-semibold mb-4">${escapeHTML(config.title)}</h3>
+          <p class="text-sm text-gray-400 py-6 text-center">${escapeHTML(this.t('table.unbound', {
+            dimension: this.getRoleLabel(config.dimension),
+            dimensionLower: this.getRoleLabel(config.dimension).toLocaleLowerCase(this.locale)
+          }))}</p>
+        `;
+        return tableCard;
+      }
+      
+      // Sort, search and page survive re-renders and data refreshes
+      const roles = columns.map(column => column.role);
+      const sortable = config.sortable !== false;
+      const state = this.tableState[config.id] || (this.tableState[config.id] = { search: '', page: 0 });
+      if (!sortable || (state.by !== 'key' && !roles.includes(state.by))) {
+        state.by = roles.includes(config.sortBy) ? config.sortBy : roles[0];
+        state.direction = null;
+      }
+      
+      // config.filter narrows the rows further, e.g. to one campaign when drilling down
+      const indicesFor = (period) => {
+        const indices = this.getRowIndices(period);
+        return config.filter ? indices.filter(config.filter) : indices;
+      };
+      
+      const allRows = this.summarize(config.dimension, roles, indicesFor('current'));
+      const pageSize = this.getTableRowLimit(config.limit || 5);
+      
+      // In comparison mode every metric gets a delta column against the same key last period
+      const previous = this.showComparison ?
+        new Map(this.summarize(config.dimension, roles, indicesFor('previous'))
+          .map(row => [row.key, row.values])) :
+        null;
+      const colspan = columns.length * (previous ? 2 : 1) + 1;
+      
+      // Columns may override the role's formatting with a named format or a function
+      const formatCell = (column, value) => {
+        const field = this.getField(column.role);
+        if (typeof column.format === 'function') return column.format(value, field);
+        return this.formatMetricValue(value, field.type, column.format || FIELD_ROLES[column.role].format);
+      };
+      
+      tableCard.innerHTML = `
+        <h3 class="text-lg font-semibold mb-4">${escapeHTML(config.title)}</h3>
+        ${allRows.length > pageSize ? `
+        <input type="search" class="table-search w-full mb-3 px-3 py-1.5 text-sm border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="${escapeHTML(this.t('table.search', {
+          dimension: config.dimensionLabel,
+          dimensionLower: config.dimensionLabel.toLocaleLowerCase(this.locale)
+        }))}">` : ''}
+        <div class="overflow-x-auto"></div>
+        <div class="table-pager flex justify-between items-center mt-3 text-xs text-gray-500"></div>
+        ${config.note ? `<p class="text-xs text-gray-500 mt-3">${escapeHTML(config.note)}</p>` : ''}
+      `;
+      
+      const tableContainer = tableCard.querySelector('.overflow-x-auto');
+      const pager = tableCard.querySelector('.table-pager');
+      const searchInput = tableCard.querySelector('.table-search');
+      
+      const render = () => {
+        const descending = state.direction ? state.direction === 'desc' : state.by !== 'key';
+        const query = searchInput ? state.search.trim().toLowerCase() : '';
+        const matches = this.sortRows(
+          allRows.filter(row => !query || String(row.key).toLowerCase().includes(query)),
+          state.by,
+          state.direction
+        );
+        
+        const pageCount = Math.max(Math.ceil(matches.length / pageSize), 1);
+        state.page = Math.min(state.page, pageCount - 1);
+        const rows = matches.slice(state.page * pageSize, (state.page + 1) * pageSize);
+        
+        const headerCell = (label, by) => {
+          if (!sortable) return `<th>${escapeHTML(label)}</th>`;
+          // The arrow is drawn by THEME_CSS from aria-sort, keeping it out of the header text
+          const sort = state.by === by ? ` aria-sort="${descending ? 'descending' : 'ascending'}"` : '';
+          return `<th class="cursor-pointer select-none" data-sort="${by}"${sort}>${escapeHTML(label)}</th>`;
+        };
+        const header = columns.map(column => {
+          const delta = previous ? `<th class="text-gray-400">&Delta;</th>` : '';
+          return headerCell(column.label, column.role) + delta;
+        }).join('');
+        const body = rows.map((row, rowIndex) => {
+          const cells = columns.map(column => {
+            const value = formatCell(column, row.values[column.role]);
+            if (!previous) return `<td>${value}</td>`;
+            
+            const previousValues = previous.get(row.key);
+            const change = previousValues ?
+              this.formatChange(row.values[column.role], previousValues[column.role], FIELD_ROLES[column.role]) :
+              null;
+            const delta = change ?
+              `<td class="text-xs ${change.positive ? 'text-green-600' : 'text-red-600'}">${change.text}</td>` :
+              '<td class="text-xs text-gray-400">&mdash;</td>';
+            return `<td>${value}</td>${delta}`;
+          }).join('');
+          
+          const rowClass = [
+            config.rowClass ? config.rowClass(row) : '',
+            config.onRowClick ? 'cursor-pointer hover:bg-gray-50' : ''
+          ].filter(Boolean).join(' ');
+          
+          return `
+                <tr data-row="${rowIndex}"${rowClass ? ` class="${rowClass}"` : ''}>
+                  <td${config.keyClass ? ` class="${config.keyClass}"` : ''}>${escapeHTML(row.key)}</td>
+                  ${cells}
+                </tr>`;
+        }).join('');
+        
+        tableContainer.innerHTML = `
+          <table class="w-full">
+            <thead>
+              <tr>
+                ${headerCell(config.dimensionLabel, 'key')}
+                ${header}
+              </tr>
+            </thead>
+            <tbody>${body || `
+              <tr>
+                <td colspan="${colspan}" class="text-center text-gray-400">${this.t(query ? 'table.noMatches' : 'table.noData')}</td>
+              </tr>`}
+            </tbody>
+          </table>
+        `;
+        
+        // Pager only appears once there is more than one page
+        pager.innerHTML = pageCount > 1 ? `
+          <span>${this.t('table.range', {
+            from: this.formatNumber(state.page * pageSize + 1),
+            to: this.formatNumber(state.page * pageSize + rows.length),
+            total: this.formatNumber(matches.length)
+          })}</span>
+          <div class="flex items-center gap-1">
+            <button type="button" class="px-2 py-1 rounded border border-gray-200 disabled:opacity-40" data-page="${state.page - 1}"${state.page === 0 ? ' disabled' : ''}>${this.t('table.previous')}</button>
+            <button type="button" class="px-2 py-1 rounded border border-gray-200 disabled:opacity-40" data-page="${state.page + 1}"${state.page === pageCount - 1 ? ' disabled' : ''}>${this.t('table.next')}</button>
           </div>
-          <div>
-            <h3 class="text-lg font-semibold mb-2 text-blue-800">AI Insights</h3>
-            <ul class="space-y-2 text-gray-700">
-              <li class="flex items-start">
-                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-green-600 mr-2 mt-0.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                <span>User engagement has increased by 12.4% compared to the previous period, with mobile traffic showing the strongest growth at 18.2%.</span>
-              </li>
-              <li class="flex items-start">
-                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-yellow-600 mr-2 mt-0.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-                </svg>
-                <span>The "Blog/SEO-Tips" page has a significantly lower bounce rate (28.9%) than other pages, suggesting its content is highly engaging. Consider creating more similar content.</span>
-              </li>
+        ` : '';
+        pager.classList.toggle('hidden', pageCount <= 1);
+        
+        pager.querySelectorAll('[data-page]').forEach(button => {
+          button.addEventListener('click', () => {
+            state.page = Number(button.getAttribute('data-page'));
+            render();
+          });
+        });
+        
+        if (config.onRowClick) {
+          tableContainer.querySelectorAll('tr[data-row]').forEach(tr => {
+            tr.addEventListener('click', () => config.onRowClick(rows[Number(tr.getAttribute('data-row'))]));
+          });
+        }
+        
+        if (sortable) {
+          tableContainer.querySelectorAll('th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => {
+              const by = th.getAttribute('data-sort');
+              const nextDescending = state.by === by ? !descending : by !== 'key';
+              state.by = by;
+              state.direction = nextDescending ? 'desc' : 'asc';
+              state.page = 0;
+              render();
+            });
+          });
+        }
+        
+        // Keep the raw numbers behind every matching row for CSV/XLSX and PDF export, not just the visible page
+        const exportColumns = [{ label: config.dimensionLabel, type: 'TEXT' }];
+        columns.forEach(column => {
+          const type = this.getField(column.role).type;
+          const format = (value) => formatCell(column, value);
+          exportColumns.push({ label: column.label, type: type, format: format });
+          if (previous) {
+            exportColumns.push({ label: `${column.label} (${this.getComparisonLabel()})`, type: type, format: format });
+          }
+        });
+        
+        this.tableExports[config.id] = {
+          title: config.title,
+          columns: exportColumns,
+          rows: matches.map(row => {
+            const values = [row.key];
+            columns.forEach(column => {
+              values.push(row.values[column.role]);
+              if (previous) {
+                const previousValues = previous.get(row.key);
+                values.push(previousValues ? previousValues[column.role] : null);
+              }
+            });
+            return values;
+          })
+        };
+      };
+      
+      if (searchInput) {
+        searchInput.value = state.search;
+        searchInput.addEventListener('input', () => {
+          state.search = searchInput.value;
+          state.page = 0;
+          render();
+        });
+      }
+      
+      render();
+      this.addExportMenu(tableCard, { table: config.id });
+      
+      return tableCard;
+    }
+    
+    getTableRowLimit(fallback) {
+      // The style panel's rows-per-table setting overrides each table's own top-N
+      const limit = parseInt(this.getStyleValue('tableRowLimit'), 10);
+      return limit > 0 ? limit : fallback;
+    }
+    
+    addExportMenu(card, source) {
+      // Move the card title into a header row alongside an export dropdown
+      const title = card.querySelector('h3');
+      const header = document.createElement('div');
+      header.className = 'flex justify-between items-center mb-4';
+      title.classList.remove('mb-4');
+      title.replaceWith(header);
+      header.appendChild(title);
+      
+      const menu = document.createElement('details');
+      menu.className = 'relative export-menu';
+      menu.innerHTML = `
+        <summary class="list-none cursor-pointer text-gray-400 hover:text-gray-600" title="${escapeHTML(this.t('export.data'))}">
+          <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+          </svg>
+        </summary>
+        <div class="absolute end-0 mt-1 w-40 bg-white border border-gray-200 rounded-md shadow-lg z-10 py-1 text-sm">
+          <button type="button" class="block w-full text-start px-3 py-1 hover:bg-gray-50" data-export-format="csv">${this.t('export.csv')}</button>
+          <button type="button" class="block w-full text-start px-3 py-1 hover:bg-gray-50" data-export-format="xlsx">${this.t('export.xlsx')}</button>
+        </div>
+      `;
+      
+      menu.querySelectorAll('[data-export-format]').forEach(button => {
+        button.addEventListener('click', async () => {
+          menu.open = false;
+          
+          try {
+            await this.exportDataset(source, button.getAttribute('data-export-format'));
+          } catch (error) {
+            console.error('Data export failed:', error);
+            alert(this.t('export.failed', { message: error.message }));
+          }
+        });
+      });
+      
+      header.appendChild(menu);
+    }
+    
+    getChartDataset(id) {
+      // Export a chart's plotted series: one row per label, one column per dataset
+      const chart = this.charts[id];
+      if (!chart) return null;
+      
+      const card = chart.canvas && chart.canvas.closest('.card');
+      const dimension = FIELD_ROLES[CHART_DIMENSIONS[id]];
+      const datasets = chart.data.datasets;
+      const valueAt = (dataset, i) => {
+        const point = dataset.data[i];
+        return point !== null && typeof point === 'object' ? point.y : point;
+      };
+      const typeOf = (dataset) => {
+        const field = dataset.role ? this.getField(dataset.role) : null;
+        return field ? field.type : 'NUMBER';
+      };
+      // Trend charts plot timestamps on a time axis
+      const labelAt = (label) => {
+        return CHART_DIMENSIONS[id] === 'date' ? this.formatPeriodLabel(label, this.getChartGranularity(id), true) : label;
+      };
+      
+      return {
+        title: card ? card.querySelector('h3').textContent.trim() : id,
+        columns: [{ label: dimension ? this.getRoleLabel(CHART_DIMENSIONS[id]) : this.t('export.label'), type: 'TEXT' }]
+          .concat(datasets.map(dataset => ({ label: dataset.label || this.t('export.value'), type: typeOf(dataset) }))),
+        rows: chart.data.labels.map((label, i) => [labelAt(label)].concat(datasets.map(dataset => valueAt(dataset, i))))
+      };
+    }
+    
+    async exportDataset(source, format) {
+      const dataset = source.table ? this.tableExports[source.table] : this.getChartDataset(source.chart);
+      if (!dataset) return;
+      
+      // Titles in non-Latin scripts normalize to nothing, so fall back to the widget id
+      const slug = normalizeName(dataset.title).replace(/ /g, '-') || source.table || source.chart;
+      const filename = `${slug}-${toDateKey(new Date())}`;
+      const header = dataset.columns.map(column => column.label);
+      
+      if (format === 'xlsx') {
+        // Cells stay numeric; percentages and currency only get a display format
+        const numberFormats = dataset.columns.map(column => {
+          return column.type === 'PERCENT' ? '0.0%' :
+            column.type && column.type.indexOf('CURRENCY') === 0 ? '#,##0.00' :
+            null;
+        });
+        const rows = dataset.rows.map(row => row.map((value, c) => {
+          if (typeof value === 'number') {
+            return numberFormats[c] ? { value: value, type: Number, format: numberFormats[c] } : value;
+          }
+          return value === null || value === undefined ? null : String(value);
+        }));
+        
+        // write-excel-file is bundled as a global by src/globals.js
+        await writeXlsxFile([header].concat(rows), {
+          sheet: dataset.title.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31)
+        }).toFile(filename + '.xlsx');
+        return;
+      }
+      
+      downloadFile(toCSV([header].concat(dataset.rows)), filename + '.csv', 'text/csv;charset=utf-8');
+    }
+    
+    createInsights() {
+      const insightsCard = document.createElement('div');
+      insightsCard.className = 'card p-4 mb-6 bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-100';
+      insightsCard.dataset.section = 'insights';
+      
+      const icons = {
+        positive: {
+          className: 'text-green-600',
+          path: '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />'
+        },
+        negative: {
+          className: 'text-yellow-600',
+          path: '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />'
+        },
+        info: {
+          className: 'text-blue-600',
+          path: '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />'
+        }
+      };
+      
+      const items = this.generateInsights().slice(0, 6).map(insight => `
               <li class="flex items-start">
-                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-blue-600 mr-2 mt-0.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 ${icons[insight.type].className} me-2 mt-0.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  ${icons[insight.type].path}
                 </svg>
-                <span>The Remarketing campaign has the best conversion rate and lowest cost per conversion. Consider reallocating budget from Display Network to Remarketing for better ROI.</span>
-              </li>
+                <span class="flex-1">${escapeHTML(insight.text)}</span>
+                <button type="button" class="ms-3 text-sm text-blue-600 hover:text-blue-800 whitespace-nowrap" data-widget-link="${insight.widget}">${this.t('insight.view')}</button>
+              </li>`).join('');
+      
+      insightsCard.innerHTML = `
+        <div class="flex items-start">
+          <div class="bg-blue-100 p-2 rounded-lg me-4">
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
+            </svg>
+          </div>
+          <div class="flex-1">
+            <h3 class="text-lg font-semibold text-blue-800">${this.t('insight.title')}</h3>
+            <p class="text-xs text-gray-500 mb-2">${this.t('insight.ranked', { period: this.formatPeriod(this.getPeriods().current) })}</p>
+            <ul class="space-y-2 text-gray-700">${items || `
+              <li class="text-gray-500">${this.t('insight.none')}</li>`}
             </ul>
           </div>
         </div>
       `;
       
-      return aiInsights;
+      insightsCard.querySelectorAll('[data-widget-link]').forEach(button => {
+        button.addEventListener('click', () => this.focusWidget(button.getAttribute('data-widget-link')));
+      });
+      
+      return insightsCard;
+    }
+    
+    generateInsights() {
+      // Every rule returns scored candidates; the highest scores are shown first
+      return [].concat(
+        this.findMetricMovers(),
+        this.findChannelMovers(),
+        this.findBounceRateOutliers(),
+        this.findCostPerConversionExtremes(),
+        this.findLowCtrQueries()
+      ).sort((a, b) => b.score - a.score);
+    }
+    
+    getDailyValues(role, indices) {
+      return this.summarize('date', [role], indices)
+        .map(row => row.values[role])
+        .filter(value => value !== null && !isNaN(value));
+    }
+    
+    findMetricMovers() {
+      if (!this.getField('date')) return [];
+      
+      const current = this.getRowIndices('current');
+      const previous = this.getRowIndices('previous');
+      if (!previous.length) return [];
+      
+      return Object.keys(INSIGHT_METRICS).filter(role => this.getField(role)).map(role => {
+        const definition = FIELD_ROLES[role];
+        const now = this.aggregateRole(role, current);
+        const before = this.aggregateRole(role, previous);
+        const change = this.formatChange(now, before, definition);
+        if (!change) return null;
+        
+        // A shift in the daily values beyond |t| = 2 is unlikely to be day-to-day noise
+        const t = welchT(this.getDailyValues(role, current), this.getDailyValues(role, previous));
+        const significant = t !== null && Math.abs(t) >= 2;
+        const relative = before ? Math.abs((now - before) / before) : 0;
+        if (relative < 0.05 && !significant) return null;
+        
+        const type = this.getField(role).type;
+        const format = (value) => this.formatMetricValue(value, type, definition.format);
+        const key = `insight.metric.${change.increase ? 'up' : 'down'}${change.moved ? '' : 'Flat'}`;
+        const note = significant ?
+          this.t('insight.metric.significant', { t: this.formatNumber(t, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }) :
+          '';
+        
+        return {
+          type: change.positive ? 'positive' : 'negative',
+          text: this.t(key, {
+            metric: this.getRoleLabel(role),
+            amount: change.amount,
+            now: format(now),
+            before: format(before),
+            comparison: this.getComparisonLabel(),
+            note: note
+          }),
+          score: Math.min(relative, 1) * 100 + (significant ? 40 : 0),
+          widget: INSIGHT_METRICS[role]
+        };
+      }).filter(Boolean);
+    }
+    
+    findChannelMovers() {
+      const metric = ['sessions', 'users'].find(role => this.getField(role));
+      if (!this.getField('channel') || !metric || !this.getField('date')) return [];
+      
+      const previous = new Map(this.summarize('channel', [metric], this.getRowIndices('previous'))
+        .map(row => [row.key, row.values[metric] || 0]));
+      const previousTotal = Array.from(previous.values()).reduce((sum, value) => sum + value, 0);
+      if (!previousTotal) return [];
+      
+      // The channel whose volume moved the most in absolute terms
+      const top = this.summarize('channel', [metric], this.getRowIndices('current'))
+        .filter(row => previous.get(row.key))
+        .map(row => ({ key: row.key, now: row.values[metric] || 0, before: previous.get(row.key) }))
+        .sort((a, b) => Math.abs(b.now - b.before) - Math.abs(a.now - a.before))[0];
+      if (!top) return [];
+      
+      const delta = top.now - top.before;
+      const share = Math.abs(delta) / previousTotal;
+      if (share < 0.02) return [];
+      
+      const definition = FIELD_ROLES[metric];
+      const change = this.formatChange(top.now, top.before, definition);
+      const amount = this.formatMetricValue(Math.abs(delta), this.getField(metric).type);
+      
+      return [{
+        type: change.positive ? 'positive' : 'negative',
+        text: this.t('insight.channel', {
+          channel: top.key,
+          metric: this.getRoleLabel(metric),
+          metricLower: this.getRoleLabel(metric).toLocaleLowerCase(this.locale),
+          delta: (delta > 0 ? '+' : '-') + amount,
+          change: change.text,
+          comparison: this.getComparisonLabel()
+        }),
+        score: Math.min(share * 200, 100),
+        widget: 'sourceChart'
+      }];
+    }
+    
+    findBounceRateOutliers() {
+      // GA4 defines bounce rate as the complement of engagement rate
+      const dimension = this.getField('landingPage') ? 'landingPage' : 'page';
+      const rate = ['bounceRate', 'engagementRate'].find(role => this.getField(role));
+      const volume = ['sessions', 'users', 'views'].find(role => this.getField(role));
+      if (!this.getField(dimension) || !rate) return [];
+      
+      const pages = this.summarize(dimension, volume ? [rate, volume] : [rate], this.getRowIndices('current'))
+        .map(row => ({
+          key: row.key,
+          bounce: rate === 'bounceRate' ? row.values.bounceRate : 1 - row.values.engagementRate,
+          volume: volume ? row.values[volume] || 0 : 1
+        }))
+        .filter(page => page.bounce !== null && !isNaN(page.bounce));
+      if (pages.length < 5) return [];
+      
+      const mean = pages.reduce((sum, page) => sum + page.bounce, 0) / pages.length;
+      const deviation = Math.sqrt(pages.reduce((sum, page) => sum + (page.bounce - mean) ** 2, 0) / pages.length);
+      if (!deviation) return [];
+      
+      // Only pages with at least median traffic, so one-visit pages don't dominate
+      const volumes = pages.map(page => page.volume).sort((a, b) => a - b);
+      const median = volumes[Math.floor(volumes.length / 2)];
+      const percent = (value) => this.formatMetricValue(value, 'PERCENT');
+      
+      return pages
+        .filter(page => page.volume >= median)
+        .map(page => Object.assign({ z: (page.bounce - mean) / deviation }, page))
+        .filter(page => Math.abs(page.z) >= 1.5)
+        .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+        .slice(0, 2)
+        .map(page => ({
+          type: page.z > 0 ? 'negative' : 'positive',
+          text: this.t(page.z > 0 ? 'insight.bounce.high' : 'insight.bounce.low', {
+            page: page.key,
+            rate: percent(page.bounce),
+            average: percent(mean)
+          }),
+          score: Math.min(Math.abs(page.z), 4) * 15,
+          widget: dimension === 'landingPage' ? 'landingPages' : 'ga4Pages'
+        }));
+    }
+    
+    findCostPerConversionExtremes() {
+      const cost = this.getField('cost');
+      if (!this.getField('campaign') || !cost || !this.getField('adConversions')) return [];
+      
+      const campaigns = this.summarize('campaign', ['cost', 'adConversions'], this.getRowIndices('current'))
+        .filter(row => row.values.cost && row.values.adConversions)
+        .map(row => ({ key: row.key, cost: row.values.cost, conversions: row.values.adConversions }))
+        .map(campaign => Object.assign({ costPerConversion: campaign.cost / campaign.conversions }, campaign))
+        .sort((a, b) => a.costPerConversion - b.costPerConversion);
+      if (campaigns.length < 2) return [];
+      
+      const average = campaigns.reduce((sum, campaign) => sum + campaign.cost, 0) /
+        campaigns.reduce((sum, campaign) => sum + campaign.conversions, 0);
+      const best = campaigns[0];
+      const worst = campaigns[campaigns.length - 1];
+      const format = (value) => this.formatMetricValue(value, cost.type);
+      const gap = (value) => this.formatNumber(Math.round(Math.abs(value - average) / average * 100) / 100, { style: 'percent' });
+      
+      return [
+        {
+          type: 'positive',
+          text: this.t('insight.cpa.best', {
+            campaign: best.key,
+            value: format(best.costPerConversion),
+            gap: gap(best.costPerConversion),
+            average: format(average)
+          }),
+          score: Math.min((average - best.costPerConversion) / average, 1) * 60,
+          widget: 'adsLeaderboard'
+        },
+        {
+          type: 'negative',
+          text: this.t('insight.cpa.worst', {
+            campaign: worst.key,
+            value: format(worst.costPerConversion),
+            gap: gap(worst.costPerConversion),
+            best: best.key
+          }),
+          score: Math.min((worst.costPerConversion - average) / average, 1) * 70,
+          widget: 'adsLeaderboard'
+        }
+      ];
+    }
+    
+    findLowCtrQueries() {
+      const roles = ['searchClicks', 'searchImpressions', 'searchCtr', 'position'].filter(role => this.getField(role));
+      if (!this.getField('query') || !this.getField('searchImpressions') || !this.getField('position')) return [];
+      
+      const rows = this.summarize('query', roles, this.getRowIndices('current'));
+      const totalClicks = rows.reduce((sum, row) => sum + (this.getRowCtr(row.values) || 0) * (row.values.searchImpressions || 0), 0);
+      
+      // Clicks a query is missing compared with the typical CTR at its position
+      const candidates = rows
+        .filter(row => row.values.searchImpressions && this.rateCtrForPosition(row.values) === 'low')
+        .map(row => {
+          const ctr = this.getRowCtr(row.values);
+          const expected = this.getExpectedCtr(row.values.position);
+          return { row: row, ctr: ctr, expected: expected, missed: row.values.searchImpressions * (expected - ctr) };
+        })
+        .sort((a, b) => b.missed - a.missed);
+      
+      const top = candidates[0];
+      if (!top || top.missed < 1) return [];
+      
+      const percent = (value) => this.formatMetricValue(value, 'PERCENT');
+      const others = candidates.length - 1;
+      const more = others ?
+        this.t(others > 1 ? 'insight.ctr.moreMany' : 'insight.ctr.moreOne', { count: this.formatNumber(others) }) :
+        '';
+      
+      return [{
+        type: 'info',
+        text: this.t('insight.ctr', {
+          query: top.row.key,
+          impressions: this.formatMetricValue(top.row.values.searchImpressions, 'NUMBER'),
+          position: this.formatNumber(top.row.values.position, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+          ctr: percent(top.ctr),
+          expected: percent(top.expected),
+          clicks: this.formatNumber(Math.round(top.missed)),
+          more: more
+        }),
+        score: Math.min(top.missed / Math.max(totalClicks, 1) * 300, 80),
+        widget: 'gscQueries'
+      }];
+    }
+    
+    focusWidget(id) {
+      // Switch to the widget's tab, bring it into view and flash a highlight
+      const widget = this.container.querySelector(`[data-widget="${id}"], [data-section="${id}"]`);
+      if (!widget) return;
+      
+      const tab = widget.closest('.tab-content');
+      if (tab) this.setActiveTab(tab.id);
+      
+      widget.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      widget.classList.add('ring-2', 'ring-blue-500');
+      setTimeout(() => widget.classList.remove('ring-2', 'ring-blue-500'), 2000);
     }
     
     createGA4Tab() {
@@ -748,161 +3511,1401 @@
       tab.id = 'ga4';
       tab.className = 'tab-content hidden';
       
-      tab.innerHTML = `
-        <div class="text-center py-12">
-          <p class="text-gray-500">Switch to the Google Analytics tab to view detailed GA4 metrics</p>
-        </div>
-      `;
+      // GA4 KPIs
+      tab.appendChild(this.createGA4KPIs());
+      
+      // Trend and engagement charts
+      const chartsRow = document.createElement('div');
+      chartsRow.className = 'grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6';
+      
+      const trendChart = this.createChartCard('ga4TrendChart', this.t('chart.ga4TrendChart'));
+      trendChart.classList.add('lg:col-span-2');
+      chartsRow.appendChild(trendChart);
+      chartsRow.appendChild(this.createChartCard('ga4EngagementChart', this.t('chart.ga4EngagementChart')));
+      
+      tab.appendChild(chartsRow);
+      
+      // Pages, events and attribution tables
+      tab.appendChild(this.createGA4TablesRow());
+      tab.appendChild(this.createSourceMediumTable());
       
       return tab;
     }
     
+    createGA4KPIs() {
+      const kpisContainer = document.createElement('div');
+      kpisContainer.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6';
+      kpisContainer.dataset.section = 'ga4KPIs';
+      
+      const kpiData = [
+        { role: 'users', icon: 'user' },
+        { role: 'newUsers', icon: 'user' },
+        { role: 'sessions', icon: 'shield' },
+        { role: 'engagementRate', icon: 'chart-line' }
+      ];
+      
+      kpiData.forEach(data => {
+        kpisContainer.appendChild(this.createKpiCard(data));
+      });
+      
+      return kpisContainer;
+    }
+    
+    createGA4TablesRow() {
+      const tablesRow = document.createElement('div');
+      tablesRow.className = 'grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6';
+      tablesRow.dataset.section = 'ga4TablesRow';
+      
+      tablesRow.appendChild(this.createDataTable({
+        id: 'ga4Pages',
+        title: this.t('table.ga4Pages'),
+        dimension: 'page',
+        dimensionLabel: this.t('column.page'),
+        keyClass: 'text-blue-600',
+        limit: 10,
+        columns: [
+          { role: 'views', label: this.t('column.views') },
+          { role: 'users', label: this.t('column.users') },
+          { role: 'engagementRate', label: this.t('column.engagement') },
+          { role: 'engagementTime', label: this.t('column.avgTime') }
+        ]
+      }));
+      
+      tablesRow.appendChild(this.createDataTable({
+        id: 'ga4Events',
+        title: this.t('table.ga4Events'),
+        dimension: 'eventName',
+        dimensionLabel: this.t('column.event'),
+        limit: 10,
+        columns: [
+          { role: 'eventCount', label: this.t('column.events') },
+          { role: 'keyEvents', label: this.t('column.keyEvents') },
+          { role: 'users', label: this.t('column.users') }
+        ]
+      }));
+      
+      return tablesRow;
+    }
+    
+    createSourceMediumTable() {
+      const sourceMediumTable = this.createDataTable({
+        id: 'ga4SourceMedium',
+        title: this.t('table.ga4SourceMedium'),
+        dimension: 'sourceMedium',
+        dimensionLabel: this.t('column.sourceMedium'),
+        limit: 10,
+        columns: [
+          { role: 'sessions', label: this.t('column.sessions') },
+          { role: 'users', label: this.t('column.users') },
+          { role: 'newUsers', label: this.t('column.newUsers') },
+          { role: 'engagementRate', label: this.t('column.engagementRate') },
+          { role: 'keyEvents', label: this.t('column.keyEvents') }
+        ],
+        className: 'mb-6',
+        section: 'ga4SourceMedium'
+      });
+      
+      return sourceMediumTable;
+    }
+    
     createGSCTab() {
       const tab = document.createElement('div');
       tab.id = 'gsc';
       tab.className = 'tab-content hidden';
       
-      tab.innerHTML = `
-        <div class="text-center py-12">
-          <p class="text-gray-500">Switch to the Search Console tab to view detailed GSC metrics</p>
-        </div>
-      `;
+      // Search KPIs
+      tab.appendChild(this.createGSCKPIs());
+      
+      // Trend and ranking distribution
+      const chartsRow = document.createElement('div');
+      chartsRow.className = 'grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6';
+      
+      const trendChart = this.createChartCard('gscTrendChart', this.t('chart.gscTrendChart'));
+      trendChart.classList.add('lg:col-span-2');
+      chartsRow.appendChild(trendChart);
+      chartsRow.appendChild(this.createChartCard('gscPositionChart', this.t('chart.gscPositionChart')));
+      
+      tab.appendChild(chartsRow);
+      
+      // Query and page tables
+      tab.appendChild(this.createGSCTablesRow());
+      
+      // Country and search appearance breakdowns
+      const breakdownRow = document.createElement('div');
+      breakdownRow.className = 'grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6';
+      breakdownRow.appendChild(this.createChartCard('gscCountryChart', this.t('chart.gscCountryChart')));
+      breakdownRow.appendChild(this.createChartCard('gscAppearanceChart', this.t('chart.gscAppearanceChart')));
+      tab.appendChild(breakdownRow);
       
       return tab;
     }
     
+    createGSCKPIs() {
+      const kpisContainer = document.createElement('div');
+      kpisContainer.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6';
+      kpisContainer.dataset.section = 'gscKPIs';
+      
+      const kpiData = [
+        { role: 'searchClicks', icon: 'search' },
+        { role: 'searchImpressions', icon: 'chart-line' },
+        { role: 'searchCtr', icon: 'check-circle' },
+        { role: 'position', icon: 'arrow-up' }
+      ];
+      
+      kpiData.forEach(data => {
+        kpisContainer.appendChild(this.createKpiCard(data));
+      });
+      
+      return kpisContainer;
+    }
+    
+    createGSCTablesRow() {
+      const tablesRow = document.createElement('div');
+      tablesRow.className = 'grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6';
+      tablesRow.dataset.section = 'gscTablesRow';
+      
+      const searchColumns = [
+        { role: 'searchClicks', label: this.t('column.clicks') },
+        { role: 'searchImpressions', label: this.t('column.impressions'), format: 'compact' },
+        { role: 'searchCtr', label: this.t('column.ctr') },
+        { role: 'position', label: this.t('column.position') }
+      ];
+      
+      tablesRow.appendChild(this.createDataTable({
+        id: 'gscQueries',
+        title: this.t('table.gscQueries'),
+        dimension: 'query',
+        dimensionLabel: this.t('column.query'),
+        limit: 10,
+        columns: searchColumns
+      }));
+      
+      // Search Console reports pages as landing pages; fall back to a plain page dimension
+      tablesRow.appendChild(this.createDataTable({
+        id: 'gscPages',
+        title: this.t('table.gscPages'),
+        dimension: this.getField('landingPage') ? 'landingPage' : 'page',
+        dimensionLabel: this.t('column.page'),
+        keyClass: 'text-blue-600',
+        limit: 10,
+        columns: searchColumns,
+        rowClass: (row) => {
+          const rating = this.rateCtrForPosition(row.values);
+          return rating === 'low' ? 'bg-yellow-50' : rating === 'high' ? 'bg-green-50' : '';
+        },
+        note: this.t('table.gscPages.note')
+      }));
+      
+      return tablesRow;
+    }
+    
+    getRowCtr(values) {
+      // Prefer the bound CTR, otherwise derive it from clicks and impressions
+      if (values.searchCtr !== null && values.searchCtr !== undefined) return values.searchCtr;
+      if (values.searchClicks === null || values.searchClicks === undefined || !values.searchImpressions) return null;
+      return values.searchClicks / values.searchImpressions;
+    }
+    
+    getExpectedCtr(position) {
+      return EXPECTED_CTR_BY_POSITION[Math.round(position) - 1] || 0.01;
+    }
+    
+    rateCtrForPosition(values) {
+      const ctr = this.getRowCtr(values);
+      const position = values.position;
+      if (ctr === null || position === null || position === undefined || position < 1) return null;
+      
+      const expected = this.getExpectedCtr(position);
+      if (ctr < expected * 0.5) return 'low';
+      if (ctr > expected * 1.5) return 'high';
+      return null;
+    }
+    
     createAdsTab() {
       const tab = document.createElement('div');
       tab.id = 'ads';
       tab.className = 'tab-content hidden';
       
-      tab.innerHTML = `
-        <div class="text-center py-12">
-          <p class="text-gray-500">Switch to the Google Ads tab to view detailed advertising metrics</p>
-        </div>
-      `;
+      // Ads KPIs
+      tab.appendChild(this.createAdsKPIs());
+      
+      // Spend, clicks, conversions and ROAS trend
+      const trendChart = this.createChartCard('adsTrendChart', this.t('chart.adsTrendChart'));
+      trendChart.classList.add('mb-6');
+      tab.appendChild(trendChart);
+      
+      // Budget pacing and cost-per-conversion leaderboard
+      const pacingRow = document.createElement('div');
+      pacingRow.className = 'grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6';
+      pacingRow.appendChild(this.createBudgetPacing());
+      pacingRow.appendChild(this.createCostPerConversionLeaderboard());
+      tab.appendChild(pacingRow);
+      
+      // Campaign -> ad group -> keyword drill-down
+      tab.appendChild(this.createAdsDrilldown());
       
       return tab;
     }
     
-    createFooter() {
-      const footer = document.createElement('div');
-      footer.className = 'mt-8 text-center text-gray-500 text-sm';
+    createAdsKPIs() {
+      const kpisContainer = document.createElement('div');
+      kpisContainer.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6';
+      kpisContainer.dataset.section = 'adsKPIs';
+      
+      const kpiData = [
+        { role: 'cost', icon: 'currency-dollar' },
+        { role: 'adClicks', icon: 'search' },
+        { role: 'adConversions', icon: 'check-circle' },
+        { role: 'conversionValue', icon: 'chart-line' }
+      ];
+      
+      kpiData.forEach(data => {
+        kpisContainer.appendChild(this.createKpiCard(data));
+      });
+      
+      return kpisContainer;
+    }
+    
+    createBudgetPacing() {
+      const pacingCard = document.createElement('div');
+      pacingCard.className = 'card p-4';
+      pacingCard.dataset.section = 'adsBudget';
+      
+      const cost = this.getField('cost');
+      // A plain number only: "1.000,50" or "1 000" would mean different amounts in different locales
+      const budgetText = String(this.getStyleValue('monthlyBudget') || '').trim();
+      const budget = Number(budgetText);
+      
+      let message = null;
+      if (!cost || !this.getField('date')) {
+        message = this.t('pacing.unbound');
+      } else if (!budgetText) {
+        message = this.t('pacing.noBudget');
+      } else if (!isFinite(budget) || budget <= 0) {
+        message = this.t('pacing.invalidBudget', { value: budgetText });
+      }
+      
+      if (message) {
+        pacingCard.innerHTML = `
+          <h3 class="text-lg font-semibold mb-4">${this.t('pacing.title')}</h3>
+          <p class="text-sm text-gray-400 py-6 text-center">${escapeHTML(message)}</p>
+        `;
+        return pacingCard;
+      }
+      
+      // Pace the month that contains the end of the current period
+      const end = this.getPeriods().current.end;
+      const monthStart = new Date(end.getFullYear(), end.getMonth(), 1);
+      const daysInMonth = new Date(end.getFullYear(), end.getMonth() + 1, 0).getDate();
+      const daysElapsed = end.getDate();
+      
+      const spent = this.aggregateRole('cost', this.getRowIndicesBetween(monthStart, end)) || 0;
+      const expected = budget * daysElapsed / daysInMonth;
+      const projected = spent / daysElapsed * daysInMonth;
+      const pace = expected ? spent / expected : 0;
+      
+      const status = pace > 1.1 ?
+        { label: this.t('pacing.over'), className: 'bg-red-100 text-red-700', bar: 'bg-red-500' } :
+        pace < 0.9 ?
+          { label: this.t('pacing.under'), className: 'bg-yellow-100 text-yellow-700', bar: 'bg-yellow-500' } :
+          { label: this.t('pacing.onTrack'), className: 'bg-green-100 text-green-700', bar: 'bg-green-500' };
+      const format = (value) => this.formatMetricValue(value, cost.type);
+      const percentOf = (value) => Math.min(value / budget, 1) * 100;
+      
+      pacingCard.innerHTML = `
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-semibold">${this.t('pacing.title')}</h3>
+          <span class="text-xs font-medium px-2 py-1 rounded-full ${status.className}">${status.label}</span>
+        </div>
+        <p class="text-sm text-gray-500 mb-1">${this.formatDate(end, { month: 'long', year: 'numeric' })} &middot; ${this.t('pacing.day', { day: this.formatNumber(daysElapsed), days: this.formatNumber(daysInMonth) })}</p>
+        <p class="text-2xl font-bold mb-3">${format(spent)} <span class="text-sm font-normal text-gray-500">${this.t('pacing.ofBudget', { budget: format(budget) })}</span></p>
+        <div class="relative h-3 bg-gray-100 rounded-full mb-4">
+          <div class="absolute inset-y-0 start-0 rounded-full ${status.bar}" style="width: ${percentOf(spent)}%"></div>
+          <div class="absolute inset-y-0 w-0.5 bg-gray-700" style="inset-inline-start: ${percentOf(expected)}%" title="${escapeHTML(this.t('pacing.expectedMarker'))}"></div>
+        </div>
+        <div class="grid grid-cols-3 gap-4 text-sm">
+          <div>
+            <p class="text-gray-500">${this.t('pacing.expected')}</p>
+            <p class="font-semibold">${format(expected)}</p>
+          </div>
+          <div>
+            <p class="text-gray-500">${this.t('pacing.projected')}</p>
+            <p class="font-semibold">${format(projected)}</p>
+          </div>
+          <div>
+            <p class="text-gray-500">${this.t('pacing.remaining')}</p>
+            <p class="font-semibold">${daysInMonth > daysElapsed ? format(Math.max(budget - spent, 0) / (daysInMonth - daysElapsed)) : '&mdash;'}</p>
+          </div>
+        </div>
+      `;
+      
+      return pacingCard;
+    }
+    
+    createCostPerConversionLeaderboard() {
+      const leaderboard = document.createElement('div');
+      leaderboard.className = 'card p-4';
+      leaderboard.dataset.section = 'adsLeaderboard';
+      
+      const cost = this.getField('cost');
+      if (!this.getField('campaign') || !cost || !this.getField('adConversions')) {
+        leaderboard.innerHTML = `
+          <h3 class="text-lg font-semibold mb-4">${this.t('leaderboard.title')}</h3>
+          <p class="text-sm text-gray-400 py-6 text-center">${this.t('leaderboard.unbound')}</p>
+        `;
+        return leaderboard;
+      }
+      
+      // Cost per conversion is recomputed from totals rather than averaging a per-row ratio
+      const campaigns = this.summarize('campaign', ['cost', 'adConversions'], this.getRowIndices('current'))
+        .filter(row => row.values.cost)
+        .map(row => ({
+          name: row.key,
+          cost: row.values.cost,
+          conversions: row.values.adConversions || 0,
+          costPerConversion: row.values.adConversions ? row.values.cost / row.values.adConversions : null
+        }))
+        .sort((a, b) => {
+          if (a.costPerConversion === null) return b.costPerConversion === null ? b.cost - a.cost : 1;
+          if (b.costPerConversion === null) return -1;
+          return a.costPerConversion - b.costPerConversion;
+        })
+        .slice(0, 10);
+      
+      const ranked = campaigns.filter(campaign => campaign.costPerConversion !== null);
+      const items = campaigns.map((campaign, i) => {
+        const badge = campaign.costPerConversion === null ?
+          `<span class="text-xs text-red-600">${this.t('leaderboard.noConversions')}</span>` :
+          `<span class="font-semibold">${this.formatMetricValue(campaign.costPerConversion, cost.type)}</span>`;
+        const highlight = ranked.length > 1 && campaign === ranked[0] ? 'bg-green-50' :
+          ranked.length > 1 && campaign === ranked[ranked.length - 1] ? 'bg-red-50' :
+          '';
+        
+        return `
+          <li class="flex items-center justify-between px-2 py-2 rounded ${highlight}">
+            <div class="flex items-center min-w-0">
+              <span class="w-6 text-sm text-gray-400">${this.formatNumber(i + 1)}</span>
+              <div class="min-w-0">
+                <p class="text-sm font-medium truncate">${escapeHTML(campaign.name)}</p>
+                <p class="text-xs text-gray-500">${this.formatMetricValue(campaign.cost, cost.type)} &middot; ${this.t('leaderboard.conversions', { count: this.formatMetricValue(campaign.conversions, 'NUMBER') })}</p>
+              </div>
+            </div>
+            ${badge}
+          </li>`;
+      }).join('');
+      
+      leaderboard.innerHTML = `
+        <h3 class="text-lg font-semibold mb-4">${this.t('leaderboard.title')}</h3>
+        <ol class="divide-y divide-gray-100">${items || `<li class="text-sm text-gray-400 py-6 text-center">${this.t('leaderboard.noSpend')}</li>`}
+        </ol>
+      `;
+      
+      return leaderboard;
+    }
+    
+    createAdsDrilldown() {
+      const container = document.createElement('div');
+      container.className = 'mb-6';
+      container.dataset.section = 'adsDrilldown';
+      
+      // Drill levels follow whichever of campaign / ad group / keyword are bound
+      const levels = ['campaign', 'adGroup', 'keyword'].filter(role => this.getField(role));
+      const path = this.adsDrilldown.slice(0, Math.max(levels.length - 1, 0));
+      const dimension = levels[path.length] || 'campaign';
+      const canDrill = path.length < levels.length - 1;
+
+      const drillTo = (nextPath) => {
+        this.adsDrilldown = nextPath;
+        this.replaceSection('adsDrilldown', () => this.createAdsDrilldown());
+      };
+      
+      if (path.length) {
+        const breadcrumb = document.createElement('nav');
+        breadcrumb.className = 'flex flex-wrap items-center text-sm mb-2';
+        
+        [this.t(`drilldown.${levels[0]}.all`)].concat(path).forEach((label, i) => {
+          if (i > 0) {
+            const separator = document.createElement('span');
+            separator.className = 'mx-2 text-gray-400';
+            separator.textContent = this.direction === 'rtl' ? '‹' : '›';
+            breadcrumb.appendChild(separator);
+          }
+          
+          const crumb = document.createElement(i < path.length ? 'button' : 'span');
+          crumb.className = i < path.length ? 'text-blue-600 hover:text-blue-800' : 'text-gray-700 font-medium';
+          crumb.textContent = label;
+          if (i < path.length) {
+            crumb.type = 'button';
+            crumb.addEventListener('click', () => drillTo(path.slice(0, i)));
+          }
+          breadcrumb.appendChild(crumb);
+        });
+        
+        container.appendChild(breadcrumb);
+      }
+      
+      const filters = path.map((value, i) => ({ field: this.getField(levels[i]), value: value }));
+      
+      container.appendChild(this.createDataTable({
+        id: `adsDrilldown-${dimension}`,
+        title: path.length ?
+          this.t(`drilldown.${dimension}.in`, { parent: path[path.length - 1] }) :
+          this.t(`drilldown.${dimension}.title`),
+        dimension: dimension,
+        dimensionLabel: this.getRoleLabel(dimension),
+        limit: 25,
+        columns: [
+          { role: 'cost', label: this.t('column.cost') },
+          { role: 'adClicks', label: this.t('column.clicks') },
+          { role: 'adImpressions', label: this.t('column.impressions'), format: 'compact' },
+          { role: 'adCtr', label: this.t('column.ctr') },
+          { role: 'adConversions', label: this.t('column.conversions') },
+          { role: 'costPerConversion', label: this.t('column.costPerConversion') },
+          { role: 'conversionValue', label: this.t('column.conversionValue') }
+        ],
+        filter: (i) => filters.every(filter => filter.field.values[i] === filter.value),
+        onRowClick: canDrill ? (row) => drillTo(path.concat(row.key)) : null,
+        note: canDrill ? this.t(`drilldown.${levels[path.length + 1]}.hint`) : ''
+      }));
+      
+      return container;
+    }
+    
+    createFooter() {
+      const footer = document.createElement('div');
+      footer.className = 'mt-8 text-center text-gray-500 text-sm';
+      
+      const now = new Date();
+      const formattedDate = this.formatDate(now, { month: 'long', day: 'numeric', year: 'numeric' });
+      
+      footer.innerHTML = `
+        <p>${this.t('footer', { date: formattedDate })}</p>
+      `;
+      
+      return footer;
+    }
+    
+    refresh() {
+      // Re-slice the data for the active filters without tearing the dashboard down
+      this.updateDateRangePicker();
+      this.updateDateComparison();
+      this.updateDeviceFilter();
+      
+      this.replaceSection('filterChips', () => this.createFilterChips());
+      this.replaceSection('scorecards', () => this.createScorecards());
+      this.replaceSection('secondRowKPIs', () => this.createSecondRowKPIs());
+      this.replaceSection('tablesRow', () => this.createTablesRow());
+      this.replaceSection('insights', () => this.createInsights());
+      this.replaceSection('adCampaigns', () => this.createAdCampaignsTable());
+      this.replaceSection('ga4KPIs', () => this.createGA4KPIs());
+      this.replaceSection('ga4TablesRow', () => this.createGA4TablesRow());
+      this.replaceSection('ga4SourceMedium', () => this.createSourceMediumTable());
+      this.replaceSection('gscKPIs', () => this.createGSCKPIs());
+      this.replaceSection('gscTablesRow', () => this.createGSCTablesRow());
+      this.replaceSection('adsKPIs', () => this.createAdsKPIs());
+      this.replaceSection('adsBudget', () => this.createBudgetPacing());
+      this.replaceSection('adsLeaderboard', () => this.createCostPerConversionLeaderboard());
+      this.replaceSection('adsDrilldown', () => this.createAdsDrilldown());
+      
+      this.updateCharts();
+    }
+    
+    replaceSection(name, build) {
+      const section = this.container.querySelector(`[data-section="${name}"]`);
+      if (section) section.replaceWith(build());
+    }
+    
+    updateCharts(ids) {
+      // Every chart by default, or only the given chart ids
+      const charts = {
+        trafficChart: { data: () => this.getTrafficChartData(), init: () => this.initTrafficChart() },
+        searchChart: { data: () => this.getSearchChartData(), init: () => this.initSearchChart() },
+        sourceChart: { data: () => this.getSourceChartData(), init: () => this.initSourceChart() },
+        deviceChart: { data: () => this.getDeviceChartData(), init: () => this.initDeviceChart() },
+        adChart: { data: () => this.getAdChartData(), init: () => this.initAdChart() },
+        ga4TrendChart: { data: () => this.getGA4TrendChartData(), init: () => this.initGA4TrendChart() },
+        ga4EngagementChart: { data: () => this.getGA4EngagementChartData(), init: () => this.initGA4EngagementChart() },
+        gscTrendChart: { data: () => this.getGSCTrendChartData(), init: () => this.initGSCTrendChart() },
+        gscPositionChart: { data: () => this.getGSCPositionChartData(), init: () => this.initGSCPositionChart() },
+        gscCountryChart: { data: () => this.getGSCCountryChartData(), init: () => this.initGSCCountryChart() },
+        gscAppearanceChart: { data: () => this.getGSCAppearanceChartData(), init: () => this.initGSCAppearanceChart() },
+        adsTrendChart: { data: () => this.getAdsTrendChartData(), init: () => this.initAdsTrendChart() }
+      };
+      
+      Object.keys(charts).forEach(id => {
+        const chart = this.charts[id];
+        if (ids && !ids.includes(id)) return;
+        
+        // Charts not created yet are left to the pending initializeCharts()
+        if (!chart && this.chartTimer) return;
+        
+        // A chart whose fields are no longer bound is released rather than left stale
+        const data = charts[id].data();
+        if (!data) {
+          if (chart) {
+            chart.destroy();
+            delete this.charts[id];
+            this.showChartMessage(chart.canvas, this.t(`chart.${id}.unbound`));
+          }
+          return;
+        }
+        
+        // A chart released earlier comes back on the canvas its hint replaced
+        if (!chart) {
+          const holder = this.container.querySelector(`[data-widget="${id}"] .h-64`);
+          if (!holder) return;
+          holder.innerHTML = `<canvas id="${id}"></canvas>`;
+          charts[id].init();
+          return;
+        }
+        
+        chart.data.labels = data.labels;
+        chart.data.datasets = data.datasets;
+        chart.data.annotations = data.annotations;
+        if (CHART_DIMENSIONS[id] === 'date') chart.options.scales.x = this.getTimeScale(id);
+        chart.update();
+      });
+    }
+    
+    initializeCharts() {
+      // Initialize charts after a short delay to ensure DOM elements are ready
+      clearTimeout(this.chartTimer);
+      this.chartTimer = setTimeout(() => {
+        this.chartTimer = null;
+        this.initTrafficChart();
+        this.initSearchChart();
+        this.initSourceChart();
+        this.initDeviceChart();
+        this.initAdChart();
+        this.initGA4TrendChart();
+        this.initGA4EngagementChart();
+        this.initGSCTrendChart();
+        this.initGSCPositionChart();
+        this.initGSCCountryChart();
+        this.initGSCAppearanceChart();
+        this.initAdsTrendChart();
+      }, 100);
+    }
+    
+    getTrafficChartData() {
+      const series = [
+        { role: 'users', color: this.getSeriesColor(0) },
+        { role: 'sessions', color: this.getSeriesColor(4) }
+      ].filter(item => this.getField(item.role));
+      
+      if (!this.getField('date') || !series.length) return null;
+      
+      const granularity = this.getChartGranularity('trafficChart');
+      const rows = this.summarizeByPeriod(series.map(item => item.role), this.getRowIndices('current'), granularity);
+      const anomalies = this.getAnomalies(series.map(item => item.role), rows, granularity);
+      
+      const datasets = series.map(item => Object.assign({
+        label: this.getRoleLabel(item.role),
+        role: item.role,
+        data: rows.map(row => row.values[item.role]),
+        borderColor: `rgb(${item.color})`,
+        backgroundColor: `rgba(${item.color}, 0.1)`,
+        tension: 0.3,
+        fill: true
+      }, this.getAnomalyPointStyle(anomalies[item.role], item.color)));
+      
+      return this.withForecast({
+        labels: rows.map(row => parseDateValue(row.key).getTime()),
+        datasets: datasets.concat(this.getComparisonDatasets(rows, series, granularity)),
+        annotations: this.getAnnotations(rows, granularity)
+      }, rows, series, granularity);
+    }
+    
+    getComparisonDatasets(rows, series, granularity) {
+      // Dashed previous-period lines; each bucket lines up with the one the same number
+      // of days into the previous period
+      if (!this.showComparison) return [];
+      
+      const periods = this.getPeriods();
+      const roles = series.map(item => item.role);
+      const previous = new Map(
+        this.summarizeByPeriod(roles, this.getRowIndices('previous'), granularity)
+          .map(row => [row.key, row.values])
+      );
+      const aligned = rows.map(row => {
+        // A first week or month starting before the period is measured from the period start
+        const start = Math.max(parseDateValue(row.key), periods.current.start);
+        const offset = Math.round((start - periods.current.start) / 86400000);
+        const date = new Date(periods.previous.start);
+        date.setDate(date.getDate() + offset);
+        return previous.get(toDateKey(startOfPeriod(date, granularity))) || {};
+      });
+      
+      return series.map(item => ({
+        label: `${this.getRoleLabel(item.role)} (${this.getComparisonLabel()})`,
+        role: item.role,
+        data: aligned.map(values => values[item.role] !== undefined ? values[item.role] : null),
+        borderColor: `rgba(${item.color}, 0.6)`,
+        backgroundColor: 'transparent',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.3,
+        fill: false,
+        yAxisID: item.axis
+      }));
+    }
+    
+    getForecastWindow() {
+      // From the day after the current period to the end of its month or quarter
+      const horizon = this.getStyleValue('forecastHorizon');
+      if ((horizon !== 'month' && horizon !== 'quarter') || !this.getField('date')) return null;
+      
+      // The model is fitted on daily values
+      if (this.dateGranularity !== 'day') return null;
+      
+      // Only a period running to the latest data has a future to project; past or custom
+      // ranges ending earlier would "forecast" days the data already has
+      const last = this.getPeriods().current.end;
+      if (!this.dateBounds || toDateKey(last) !== toDateKey(this.dateBounds.max)) return null;
+      
+      const firstMonth = horizon === 'quarter' ? Math.floor(last.getMonth() / 3) * 3 : last.getMonth();
+      const monthCount = horizon === 'quarter' ? 3 : 1;
+      const from = new Date(last);
+      from.setDate(from.getDate() + 1);
+      
+      return {
+        start: new Date(last.getFullYear(), firstMonth, 1),
+        from: from,
+        end: new Date(last.getFullYear(), firstMonth + monthCount, 0),
+        label: horizon === 'quarter' ?
+          this.t('forecast.quarter', { quarter: this.formatNumber(firstMonth / 3 + 1) }) :
+          this.formatDate(last, { month: 'short' })
+      };
+    }
+    
+    getForecast(role) {
+      const forecastWindow = this.getForecastWindow();
+      if (!forecastWindow || !FORECAST_ROLES.includes(role) || !this.getField(role)) return null;
+      
+      // Fit on everything up to the end of the current period, ignoring the date range
+      const lastKey = toDateKey(this.getPeriods().current.end);
+      const history = this.summarize('date', [role], this.getRowIndicesBetween(null, null), { sortBy: 'key' })
+        .map(row => ({ date: parseDateValue(row.key), value: row.values[role] }))
+        .filter(item => item.date && toDateKey(item.date) <= lastKey);
+      
+      return forecastSeries(history, forecastWindow.from, forecastWindow.end);
+    }
+    
+    getProjectedTotal(role) {
+      // Actual to date plus the forecast for the rest of the month or quarter
+      const forecast = this.getForecast(role);
+      if (!forecast) return null;
+      
+      const forecastWindow = this.getForecastWindow();
+      const actual = this.aggregateRole(role, this.getRowIndicesBetween(forecastWindow.start, this.getPeriods().current.end)) || 0;
+      const projected = forecast.points.reduce((sum, point) => sum + point.value, 0);
+      const spread = 1.96 * forecast.sigma * Math.sqrt(forecast.points.length);
+      
+      return {
+        label: forecastWindow.label,
+        total: Math.round(actual + projected),
+        lower: Math.round(actual + Math.max(projected - spread, 0)),
+        upper: Math.round(actual + projected + spread)
+      };
+    }
+    
+    withForecast(data, rows, series, granularity) {
+      // Extend the labels into the forecast window and add a dashed projection with a shaded band.
+      // Projections are daily, so only the daily view shows them.
+      if (granularity !== 'day') return data;
+      
+      const forecasts = series
+        .map(item => ({ item: item, forecast: this.getForecast(item.role) }))
+        .filter(entry => entry.forecast && entry.forecast.points.length);
+      if (!forecasts.length || !rows.length) return data;
+      
+      const future = forecasts[0].forecast.points;
+      const pad = rows.map(() => null);
+      
+      forecasts.forEach(({ item, forecast }) => {
+        const label = this.getRoleLabel(item.role);
+        const points = forecast.points;
+        
+        data.datasets.push({
+          label: this.t('forecast.label', { metric: label }),
+          role: item.role,
+          // Starts on the last actual value so the projection joins the series
+          data: pad.slice(1).concat([rows[rows.length - 1].values[item.role]], points.map(point => point.value)),
+          bands: pad.concat(points),
+          borderColor: `rgba(${item.color}, 0.8)`,
+          borderDash: [2, 3],
+          pointRadius: 0,
+          tension: 0.3,
+          fill: false,
+          yAxisID: item.axis
+        }, {
+          label: this.t('forecast.high', { metric: label }),
+          role: item.role,
+          forecastBand: true,
+          data: pad.concat(points.map(point => point.upper)),
+          borderWidth: 0,
+          pointRadius: 0,
+          fill: false,
+          yAxisID: item.axis
+        }, {
+          label: this.t('forecast.low', { metric: label }),
+          role: item.role,
+          forecastBand: true,
+          data: pad.concat(points.map(point => point.lower)),
+          borderWidth: 0,
+          pointRadius: 0,
+          backgroundColor: `rgba(${item.color}, 0.15)`,
+          fill: '-1',
+          yAxisID: item.axis
+        });
+      });
+      
+      data.labels = data.labels.concat(future.map(point => point.date.getTime()));
+      return data;
+    }
+    
+    describeForecast(context) {
+      // Tooltip line with the 95% range of a projected day
+      const band = context.dataset.bands && context.dataset.bands[context.dataIndex];
+      if (!band) return '';
+      
+      const type = this.getField(context.dataset.role).type;
+      return this.t('forecast.range', {
+        lower: this.formatMetricValue(band.lower, type),
+        upper: this.formatMetricValue(band.upper, type)
+      });
+    }
+    
+    getAnomalies(roles, rows, granularity) {
+      // { role: [anomaly or null per row] }. Detection runs over the whole filtered
+      // history so the first days of the period still have a baseline; it is daily only.
+      const result = {};
+      if (this.getStyleValue('showAnomalies') === false || granularity !== 'day') return result;
+      
+      const history = this.summarizeByPeriod(roles, this.getRowIndicesBetween(null, null), 'day');
+      roles.forEach(role => {
+        const flags = detectAnomalies(history.map(row => ({ date: parseDateValue(row.key), value: row.values[role] })));
+        const byKey = new Map(history.map((row, i) => [row.key, flags[i]]));
+        result[role] = rows.map(row => byKey.get(row.key) || null);
+      });
+      
+      return result;
+    }
+    
+    getAnomalyPointStyle(anomalies, color) {
+      // Anomalous days get a larger point in the theme's alert color
+      if (!anomalies || !anomalies.some(Boolean)) return {};
+      
+      return {
+        anomalies: anomalies,
+        pointRadius: anomalies.map(anomaly => anomaly ? 6 : 3),
+        pointHoverRadius: anomalies.map(anomaly => anomaly ? 8 : 4),
+        pointBackgroundColor: anomalies.map(anomaly => anomaly ? this.theme.anomaly : `rgb(${color})`),
+        pointBorderColor: anomalies.map(anomaly => anomaly ? this.theme.anomaly : `rgb(${color})`)
+      };
+    }
+    
+    describeAnomaly(context) {
+      // Tooltip line explaining a flagged point
+      const anomaly = context.dataset.anomalies && context.dataset.anomalies[context.dataIndex];
+      if (!anomaly) return '';
+      
+      const type = this.getField(context.dataset.role).type;
+      return this.t('anomaly.tooltip', {
+        actual: this.formatMetricValue(context.parsed.y, type),
+        expected: this.formatMetricValue(anomaly.expected, type)
+      });
+    }
+    
+    getAnnotations(rows, granularity) {
+      // Style "annotations" holds one "YYYY-MM-DD Label" per line; each is drawn on the bucket
+      // holding its date, and only dates on the chart are kept
+      const keys = new Set(rows.map(row => row.key));
+      
+      return String(this.getStyleValue('annotations') || '').split(/\r?\n/)
+        .map(line => /^\s*(\d{4}-?\d{2}-?\d{2})\s*[:\-\u2013]?\s*(.+?)\s*$/.exec(line))
+        .filter(Boolean)
+        .map(match => ({ date: parseDateValue(match[1]), label: match[2] }))
+        .filter(annotation => annotation.date && keys.has(toDateKey(startOfPeriod(annotation.date, granularity))))
+        .map(annotation => ({ value: startOfPeriod(annotation.date, granularity).getTime(), label: annotation.label }));
+    }
+    
+    initTrafficChart() {
+      const ctx = document.getElementById('trafficChart');
+      if (!ctx) return;
+      
+      const data = this.getTrafficChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.trafficChart.unbound'));
+        return;
+      }
+      
+      this.charts.trafficChart = new Chart(ctx, {
+        type: 'line',
+        data: data,
+        plugins: [annotationPlugin],
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              position: 'top',
+              display: this.getStyleValue('showLegend') !== false,
+              labels: {
+                filter: (item, chartData) => !chartData.datasets[item.datasetIndex].forecastBand
+              }
+            },
+            tooltip: {
+              filter: (item) => !item.dataset.forecastBand,
+              callbacks: {
+                title: (items) => this.describePeriod('trafficChart', items),
+                afterLabel: (context) => this.describeAnomaly(context) || this.describeForecast(context)
+              }
+            },
+            dashboardAnnotations: {
+              color: this.theme.annotation
+            }
+          },
+          scales: {
+            x: this.getTimeScale('trafficChart'),
+            y: {
+              beginAtZero: true
+            }
+          },
+          animation: {
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
+          }
+        }
+      });
+    }
+    
+    getSearchChartData() {
+      const series = [
+        { role: 'searchClicks', color: this.getSeriesColor(1), axis: 'y' },
+        { role: 'searchImpressions', color: this.getSeriesColor(2), axis: 'y1' }
+      ].filter(item => this.getField(item.role));
+      
+      if (!this.getField('date') || !series.length) return null;
+      
+      const granularity = this.getChartGranularity('searchChart');
+      const rows = this.summarizeByPeriod(series.map(item => item.role), this.getRowIndices('current'), granularity);
+      const anomalies = this.getAnomalies(series.map(item => item.role), rows, granularity);
+      
+      const datasets = series.map(item => Object.assign({
+        label: this.getRoleLabel(item.role),
+        role: item.role,
+        data: rows.map(row => row.values[item.role]),
+        borderColor: `rgb(${item.color})`,
+        backgroundColor: `rgba(${item.color}, 0.1)`,
+        tension: 0.3,
+        fill: true,
+        yAxisID: item.axis
+      }, this.getAnomalyPointStyle(anomalies[item.role], item.color)));
+      
+      return this.withForecast({
+        labels: rows.map(row => parseDateValue(row.key).getTime()),
+        datasets: datasets.concat(this.getComparisonDatasets(rows, series, granularity)),
+        annotations: this.getAnnotations(rows, granularity)
+      }, rows, series, granularity);
+    }
+    
+    initSearchChart() {
+      const ctx = document.getElementById('searchChart');
+      if (!ctx) return;
+      
+      const data = this.getSearchChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.searchChart.unbound'));
+        return;
+      }
+      
+      this.charts.searchChart = new Chart(ctx, {
+        type: 'line',
+        data: data,
+        plugins: [annotationPlugin],
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              position: 'top',
+              display: this.getStyleValue('showLegend') !== false,
+              labels: {
+                filter: (item, chartData) => !chartData.datasets[item.datasetIndex].forecastBand
+              }
+            },
+            tooltip: {
+              filter: (item) => !item.dataset.forecastBand,
+              callbacks: {
+                title: (items) => this.describePeriod('searchChart', items),
+                afterLabel: (context) => this.describeAnomaly(context) || this.describeForecast(context)
+              }
+            },
+            dashboardAnnotations: {
+              color: this.theme.annotation
+            }
+          },
+          scales: {
+            x: this.getTimeScale('searchChart'),
+            y: {
+              beginAtZero: true,
+              position: 'left',
+              title: {
+                display: true,
+                text: this.t('axis.clicks')
+              }
+            },
+            y1: {
+              beginAtZero: true,
+              position: 'right',
+              grid: {
+                drawOnChartArea: false
+              },
+              title: {
+                display: true,
+                text: this.t('axis.impressions')
+              }
+            }
+          },
+          animation: {
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
+          }
+        }
+      });
+    }
+    
+    getSourceChartData() {
+      // Sessions by channel, falling back to users when sessions aren't bound
+      const metricRole = this.getField('sessions') ? 'sessions' : 'users';
+      
+      if (!this.getField('channel') || !this.getField(metricRole)) return null;
+      
+      // Every channel stays visible; a clicked one is highlighted instead of filtering the chart away
+      const rows = this.summarize('channel', [metricRole], this.getRowIndices('current', { except: 'channel' }), { sortBy: metricRole });
+      const selected = this.crossFilters.channel;
+      
+      return {
+        labels: rows.map(row => row.key),
+        datasets: [{
+          label: this.getRoleLabel(metricRole),
+          role: metricRole,
+          data: rows.map(row => row.values[metricRole]),
+          backgroundColor: rows.map((row, i) => {
+            const opacity = selected === undefined || row.key === selected ? 0.7 : 0.2;
+            return `rgba(${this.getSeriesColor(i)}, ${opacity})`;
+          }),
+          borderWidth: 0
+        }]
+      };
+    }
+    
+    initSourceChart() {
+      const ctx = document.getElementById('sourceChart');
+      if (!ctx) return;
+      
+      const data = this.getSourceChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.sourceChart.unbound'));
+        return;
+      }
+      
+      this.charts.sourceChart = new Chart(ctx, {
+        type: 'bar',
+        data: data,
+        options: Object.assign(this.getCrossFilterOptions('sourceChart'), {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              display: false
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true
+            }
+          },
+          animation: {
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
+          }
+        })
+      });
+    }
+    
+    getDeviceChartData() {
+      if (!this.getField('device') || !this.getField('users')) return null;
+      
+      // The device split always shows every device; the filtered one is highlighted
+      const rows = this.summarize('device', ['users'], this.getRowIndices('current', { except: 'device' }), { sortBy: 'users' });
+      const colors = this.theme.palette;
+      const isSelected = (row) => normalizeName(row.key) === this.deviceFilter;
+      const hasSelection = this.deviceFilter !== 'all' && rows.some(isSelected);
+      
+      return {
+        labels: rows.map(row => row.key),
+        datasets: [{
+          label: this.getRoleLabel('users'),
+          role: 'users',
+          data: rows.map(row => row.values.users),
+          backgroundColor: rows.map((row, i) => {
+            const opacity = !hasSelection || isSelected(row) ? 0.7 : 0.2;
+            return `rgba(${colors[i % colors.length]}, ${opacity})`;
+          }),
+          offset: rows.map(row => hasSelection && isSelected(row) ? 12 : 0),
+          borderWidth: 1,
+          borderColor: this.theme.surface
+        }]
+      };
+    }
+    
+    initDeviceChart() {
+      const ctx = document.getElementById('deviceChart');
+      if (!ctx) return;
+      
+      const data = this.getDeviceChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.deviceChart.unbound'));
+        return;
+      }
+      
+      this.charts.deviceChart = new Chart(ctx, {
+        type: 'doughnut',
+        data: data,
+        options: Object.assign(this.getCrossFilterOptions('deviceChart'), {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              position: 'bottom',
+              display: this.getStyleValue('showLegend') !== false
+            }
+          },
+          animation: {
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
+          }
+        })
+      });
+    }
+    
+    getAdChartData() {
+      const series = [
+        { role: 'adClicks', color: this.getSeriesColor(0), axis: 'y' },
+        { role: 'adConversions', color: this.getSeriesColor(1), axis: 'y1' }
+      ].filter(item => this.getField(item.role));
+      
+      if (!this.getField('campaign') || !series.length) return null;
+      
+      // Top campaigns ignore the campaign filter so the selected one is highlighted among them
+      const rows = this.summarize('campaign', series.map(item => item.role), this.getRowIndices('current', { except: 'campaign' }), {
+        sortBy: series[0].role,
+        limit: 5
+      });
+      const selected = this.crossFilters.campaign;
+      
+      return {
+        labels: rows.map(row => row.key),
+        datasets: series.map(item => ({
+          label: this.getRoleLabel(item.role),
+          role: item.role,
+          data: rows.map(row => row.values[item.role]),
+          backgroundColor: rows.map(row => `rgba(${item.color}, ${selected === undefined || row.key === selected ? 0.7 : 0.2})`),
+          borderWidth: 0,
+          yAxisID: item.axis
+        }))
+      };
+    }
+    
+    initAdChart() {
+      const ctx = document.getElementById('adChart');
+      if (!ctx) return;
+      
+      const data = this.getAdChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.adChart.unbound'));
+        return;
+      }
+      
+      this.charts.adChart = new Chart(ctx, {
+        type: 'bar',
+        data: data,
+        options: Object.assign(this.getCrossFilterOptions('adChart'), {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              position: 'top',
+              display: this.getStyleValue('showLegend') !== false
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true,
+              position: 'left',
+              title: {
+                display: true,
+                text: this.t('axis.clicks')
+              }
+            },
+            y1: {
+              beginAtZero: true,
+              position: 'right',
+              grid: {
+                drawOnChartArea: false
+              },
+              title: {
+                display: true,
+                text: this.t('axis.conversions')
+              }
+            }
+          },
+          animation: {
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
+          }
+        })
+      });
+    }
+    
+    getGA4TrendChartData() {
+      const series = [
+        { role: 'users', color: this.getSeriesColor(0), axis: 'y' },
+        { role: 'newUsers', color: this.getSeriesColor(1), axis: 'y' },
+        { role: 'sessions', color: this.getSeriesColor(4), axis: 'y' },
+        { role: 'engagementRate', color: this.getSeriesColor(2), axis: 'y1' }
+      ].filter(item => this.getField(item.role));
+      
+      if (!this.getField('date') || !series.length) return null;
+      
+      const granularity = this.getChartGranularity('ga4TrendChart');
+      const rows = this.summarizeByPeriod(series.map(item => item.role), this.getRowIndices('current'), granularity);
+      
+      const datasets = series.map(item => ({
+        label: this.getRoleLabel(item.role),
+        role: item.role,
+        data: rows.map(row => row.values[item.role]),
+        borderColor: `rgb(${item.color})`,
+        backgroundColor: `rgba(${item.color}, 0.1)`,
+        tension: 0.3,
+        fill: item.axis === 'y',
+        yAxisID: item.axis
+      }));
+      
+      return {
+        labels: rows.map(row => parseDateValue(row.key).getTime()),
+        datasets: datasets.concat(this.getComparisonDatasets(rows, series, granularity))
+      };
+    }
+    
+    initGA4TrendChart() {
+      const ctx = document.getElementById('ga4TrendChart');
+      if (!ctx) return;
+      
+      const data = this.getGA4TrendChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.ga4TrendChart.unbound'));
+        return;
+      }
+      
+      const rateField = this.getField('engagementRate');
+      
+      this.charts.ga4TrendChart = new Chart(ctx, {
+        type: 'line',
+        data: data,
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              position: 'top',
+              display: this.getStyleValue('showLegend') !== false
+            },
+            tooltip: {
+              callbacks: {
+                title: (items) => this.describePeriod('ga4TrendChart', items)
+              }
+            }
+          },
+          scales: {
+            x: this.getTimeScale('ga4TrendChart'),
+            y: {
+              beginAtZero: true,
+              position: 'left'
+            },
+            y1: {
+              display: !!rateField,
+              beginAtZero: true,
+              position: 'right',
+              grid: {
+                drawOnChartArea: false
+              },
+              ticks: {
+                callback: (value) => rateField ? this.formatMetricValue(value, rateField.type) : value
+              },
+              title: {
+                display: true,
+                text: this.t('axis.engagementRate')
+              }
+            }
+          },
+          animation: {
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
+          }
+        }
+      });
+    }
+    
+    getGA4EngagementChartData() {
+      const series = [
+        { role: 'engagementRate', color: this.getSeriesColor(0), axis: 'y' },
+        { role: 'engagementTime', color: this.getSeriesColor(1), axis: 'y1' }
+      ].filter(item => this.getField(item.role));
       
-      const now = new Date();
-      const formattedDate = now.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+      if (!this.getField('channel') || !series.length) return null;
       
-      footer.innerHTML = `
-        <p>Last updated: ${formattedDate} • Data sources: Google Analytics 4, Google Search Console, Google Ads</p>
-      `;
+      const rows = this.summarize('channel', series.map(item => item.role), this.getRowIndices('current'), {
+        sortBy: series[0].role,
+        limit: 8
+      });
       
-      return footer;
-    }
-    
-    initializeCharts() {
-      // Initialize charts after a short delay to ensure DOM elements are ready
-      setTimeout(() => {
-        this.initTrafficChart();
-        this.initSearchChart();
-        this.initSourceChart();
-        this.initDeviceChart();
-        this.initAdChart();
-      }, 100);
+      return {
+        labels: rows.map(row => row.key),
+        datasets: series.map(item => ({
+          label: this.getRoleLabel(item.role),
+          role: item.role,
+          data: rows.map(row => row.values[item.role]),
+          backgroundColor: `rgba(${item.color}, 0.7)`,
+          borderWidth: 0,
+          yAxisID: item.axis
+        }))
+      };
     }
     
-    initTrafficChart() {
-      const ctx = document.getElementById('trafficChart');
+    initGA4EngagementChart() {
+      const ctx = document.getElementById('ga4EngagementChart');
       if (!ctx) return;
       
-      this.charts.trafficChart = new Chart(ctx, {
-        type: 'line',
-        data: {
-          labels: ['Apr 1', 'Apr 5', 'Apr 10', 'Apr 15', 'Apr 20', 'Apr 25', 'Apr 30'],
-          datasets: [
-            {
-              label: 'Users',
-              data: [845, 1245, 1050, 1380, 1420, 1650, 1520],
-              borderColor: 'rgb(59, 130, 246)',
-              backgroundColor: 'rgba(59, 130, 246, 0.1)',
-              tension: 0.3,
-              fill: true
-            },
-            {
-              label: 'Sessions',
-              data: [1050, 1450, 1250, 1580, 1720, 1950, 1820],
-              borderColor: 'rgb(139, 92, 246)',
-              backgroundColor: 'rgba(139, 92, 246, 0.1)',
-              tension: 0.3,
-              fill: true
-            }
-          ]
-        },
+      const data = this.getGA4EngagementChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.ga4EngagementChart.unbound'));
+        return;
+      }
+      
+      const rateField = this.getField('engagementRate');
+      
+      this.charts.ga4EngagementChart = new Chart(ctx, {
+        type: 'bar',
+        data: data,
         options: {
           responsive: true,
           maintainAspectRatio: false,
           plugins: {
             legend: {
               position: 'top',
-              display: this.style && this.style.showLegend !== false
+              display: this.getStyleValue('showLegend') !== false
             }
           },
           scales: {
             y: {
-              beginAtZero: true
+              display: !!rateField,
+              beginAtZero: true,
+              position: 'left',
+              ticks: {
+                callback: (value) => rateField ? this.formatMetricValue(value, rateField.type) : value
+              }
+            },
+            y1: {
+              display: !!this.getField('engagementTime'),
+              beginAtZero: true,
+              position: 'right',
+              grid: {
+                drawOnChartArea: false
+              },
+              ticks: {
+                callback: (value) => this.formatMetricValue(value, 'NUMBER', 'duration')
+              }
             }
           },
           animation: {
-            duration: this.style && this.style.enableAnimation !== false ? 1000 : 0
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
           }
         }
       });
     }
     
-    initSearchChart() {
-      const ctx = document.getElementById('searchChart');
+    getGSCTrendChartData() {
+      const series = [
+        { role: 'searchClicks', color: this.getSeriesColor(1), axis: 'y' },
+        { role: 'searchImpressions', color: this.getSeriesColor(2), axis: 'y1' },
+        { role: 'searchCtr', color: this.getSeriesColor(0), axis: 'yCtr' },
+        { role: 'position', color: this.getSeriesColor(3), axis: 'yPosition' }
+      ].filter(item => this.getField(item.role));
+      
+      if (!this.getField('date') || !series.length) return null;
+      
+      const granularity = this.getChartGranularity('gscTrendChart');
+      const rows = this.summarizeByPeriod(series.map(item => item.role), this.getRowIndices('current'), granularity);
+      
+      const datasets = series.map(item => ({
+        label: this.getRoleLabel(item.role),
+        role: item.role,
+        data: rows.map(row => row.values[item.role]),
+        borderColor: `rgb(${item.color})`,
+        backgroundColor: `rgba(${item.color}, 0.1)`,
+        tension: 0.3,
+        fill: false,
+        yAxisID: item.axis
+      }));
+      
+      return {
+        labels: rows.map(row => parseDateValue(row.key).getTime()),
+        datasets: datasets.concat(this.getComparisonDatasets(rows, series, granularity))
+      };
+    }
+    
+    initGSCTrendChart() {
+      const ctx = document.getElementById('gscTrendChart');
       if (!ctx) return;
       
-      this.charts.searchChart = new Chart(ctx, {
+      const data = this.getGSCTrendChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.gscTrendChart.unbound'));
+        return;
+      }
+      
+      this.charts.gscTrendChart = new Chart(ctx, {
         type: 'line',
-        data: {
-          labels: ['Apr 1', 'Apr 5', 'Apr 10', 'Apr 15', 'Apr 20', 'Apr 25', 'Apr 30'],
-          datasets: [
-            {
-              label: 'Clicks',
-              data: [520, 580, 620, 710, 680, 750, 780],
-              borderColor: 'rgb(16, 185, 129)',
-              backgroundColor: 'rgba(16, 185, 129, 0.1)',
-              tension: 0.3,
-              fill: true,
-              yAxisID: 'y'
-            },
-            {
-              label: 'Impressions',
-              data: [8500, 9200, 9800, 10500, 11200, 12000, 12500],
-              borderColor: 'rgb(245, 158, 11)',
-              backgroundColor: 'rgba(245, 158, 11, 0.1)',
-              tension: 0.3,
-              fill: true,
-              yAxisID: 'y1'
-            }
-          ]
-        },
+        data: data,
         options: {
           responsive: true,
           maintainAspectRatio: false,
+          interaction: {
+            mode: 'index',
+            intersect: false
+          },
           plugins: {
             legend: {
               position: 'top',
-              display: this.style && this.style.showLegend !== false
+              display: this.getStyleValue('showLegend') !== false
+            },
+            tooltip: {
+              callbacks: {
+                title: (items) => this.describePeriod('gscTrendChart', items),
+                // Show each series in its own format (CTR as a percentage, etc.)
+                label: (context) => {
+                  const field = this.getField(context.dataset.role);
+                  const format = FIELD_ROLES[context.dataset.role].format;
+                  return `${context.dataset.label}: ${this.formatMetricValue(context.parsed.y, field.type, format)}`;
+                }
+              }
             }
           },
           scales: {
+            x: this.getTimeScale('gscTrendChart'),
             y: {
               beginAtZero: true,
               position: 'left',
               title: {
                 display: true,
-                text: 'Clicks'
+                text: this.t('axis.clicks')
               }
             },
             y1: {
@@ -913,135 +4916,311 @@
               },
               title: {
                 display: true,
-                text: 'Impressions'
+                text: this.t('axis.impressions')
               }
+            },
+            // CTR and position get their own unlabeled scales; position is reversed so up is better
+            yCtr: {
+              display: false,
+              beginAtZero: true
+            },
+            yPosition: {
+              display: false,
+              reverse: true
             }
           },
           animation: {
-            duration: this.style && this.style.enableAnimation !== false ? 1000 : 0
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
           }
         }
       });
     }
     
-    initSourceChart() {
-      const ctx = document.getElementById('sourceChart');
+    getGSCPositionChartData() {
+      // Bucket each query (or page) by its average position
+      const dimension = ['query', 'landingPage', 'page'].find(role => this.getField(role));
+      if (!dimension || !this.getField('position')) return null;
+      
+      const hasClicks = !!this.getField('searchClicks');
+      const rows = this.summarize(
+        dimension,
+        hasClicks ? ['position', 'searchClicks'] : ['position'],
+        this.getRowIndices('current')
+      );
+      
+      const counts = POSITION_BUCKETS.map(() => 0);
+      const clicks = POSITION_BUCKETS.map(() => 0);
+      rows.forEach(row => {
+        if (row.values.position === null) return;
+        const bucket = POSITION_BUCKETS.findIndex(item => row.values.position <= item.max);
+        counts[bucket]++;
+        clicks[bucket] += row.values.searchClicks || 0;
+      });
+      
+      const datasets = [{
+        label: this.t(dimension === 'query' ? 'table.gscQueries' : 'table.gscPages'),
+        data: counts,
+        backgroundColor: `rgba(${this.getSeriesColor(0)}, 0.7)`,
+        borderWidth: 0,
+        yAxisID: 'y'
+      }];
+      
+      if (hasClicks) {
+        datasets.push({
+          label: this.getRoleLabel('searchClicks'),
+          role: 'searchClicks',
+          data: clicks,
+          backgroundColor: `rgba(${this.getSeriesColor(1)}, 0.7)`,
+          borderWidth: 0,
+          yAxisID: 'y1'
+        });
+      }
+      
+      return {
+        labels: POSITION_BUCKETS.map(bucket => bucket.label),
+        datasets: datasets
+      };
+    }
+    
+    initGSCPositionChart() {
+      const ctx = document.getElementById('gscPositionChart');
       if (!ctx) return;
       
-      this.charts.sourceChart = new Chart(ctx, {
+      const data = this.getGSCPositionChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.gscPositionChart.unbound'));
+        return;
+      }
+      
+      this.charts.gscPositionChart = new Chart(ctx, {
         type: 'bar',
-        data: {
-          labels: ['Organic', 'Direct', 'Referral', 'Social', 'Email', 'Paid'],
-          datasets: [{
-            label: 'Sessions',
-            data: [12500, 8700, 4200, 3800, 2100, 5400],
-            backgroundColor: [
-              'rgba(59, 130, 246, 0.7)',
-              'rgba(16, 185, 129, 0.7)',
-              'rgba(245, 158, 11, 0.7)',
-              'rgba(236, 72, 153, 0.7)',
-              'rgba(139, 92, 246, 0.7)',
-              'rgba(220, 38, 38, 0.7)'
-            ],
-            borderWidth: 0
-          }]
-        },
+        data: data,
         options: {
           responsive: true,
           maintainAspectRatio: false,
           plugins: {
             legend: {
-              display: false
+              position: 'top',
+              display: this.getStyleValue('showLegend') !== false
             }
           },
           scales: {
             y: {
+              beginAtZero: true,
+              position: 'left'
+            },
+            y1: {
+              display: !!this.getField('searchClicks'),
+              beginAtZero: true,
+              position: 'right',
+              grid: {
+                drawOnChartArea: false
+              }
+            }
+          },
+          animation: {
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
+          }
+        }
+      });
+    }
+    
+    getGSCBreakdownData(dimension) {
+      // Clicks per dimension value, falling back to impressions when clicks aren't bound
+      const metricRole = this.getField('searchClicks') ? 'searchClicks' : 'searchImpressions';
+      if (!this.getField(dimension) || !this.getField(metricRole)) return null;
+      
+      const rows = this.summarize(dimension, [metricRole], this.getRowIndices('current'), {
+        sortBy: metricRole,
+        limit: 10
+      });
+      
+      return {
+        labels: rows.map(row => row.key),
+        datasets: [{
+          label: this.getRoleLabel(metricRole),
+          role: metricRole,
+          data: rows.map(row => row.values[metricRole]),
+          backgroundColor: this.getPaletteColors(0.7),
+          borderWidth: 0
+        }]
+      };
+    }
+    
+    getGSCCountryChartData() {
+      return this.getGSCBreakdownData('country');
+    }
+    
+    initGSCCountryChart() {
+      const ctx = document.getElementById('gscCountryChart');
+      if (!ctx) return;
+      
+      const data = this.getGSCCountryChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.gscCountryChart.unbound'));
+        return;
+      }
+      
+      this.charts.gscCountryChart = new Chart(ctx, {
+        type: 'bar',
+        data: data,
+        options: {
+          indexAxis: 'y',
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              display: false
+            }
+          },
+          scales: {
+            x: {
               beginAtZero: true
             }
           },
           animation: {
-            duration: this.style && this.style.enableAnimation !== false ? 1000 : 0
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
           }
         }
       });
     }
     
-    initDeviceChart() {
-      const ctx = document.getElementById('deviceChart');
+    getGSCAppearanceChartData() {
+      return this.getGSCBreakdownData('searchAppearance');
+    }
+    
+    initGSCAppearanceChart() {
+      const ctx = document.getElementById('gscAppearanceChart');
       if (!ctx) return;
       
-      this.charts.deviceChart = new Chart(ctx, {
+      const data = this.getGSCAppearanceChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.gscAppearanceChart.unbound'));
+        return;
+      }
+      
+      this.charts.gscAppearanceChart = new Chart(ctx, {
         type: 'doughnut',
-        data: {
-          labels: ['Mobile', 'Desktop', 'Tablet'],
-          datasets: [{
-            data: [15200, 8400, 1800],
-            backgroundColor: [
-              'rgba(59, 130, 246, 0.7)',
-              'rgba(16, 185, 129, 0.7)',
-              'rgba(245, 158, 11, 0.7)'
-            ],
-            borderWidth: 1,
-            borderColor: '#ffffff'
-          }]
-        },
+        data: data,
         options: {
           responsive: true,
           maintainAspectRatio: false,
           plugins: {
             legend: {
               position: 'bottom',
-              display: this.style && this.style.showLegend !== false
+              display: this.getStyleValue('showLegend') !== false
             }
           },
           animation: {
-            duration: this.style && this.style.enableAnimation !== false ? 1000 : 0
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
           }
         }
       });
     }
     
-    initAdChart() {
-      const ctx = document.getElementById('adChart');
+    getAdsTrendChartData() {
+      const series = [
+        { role: 'cost', color: this.getSeriesColor(5), axis: 'y' },
+        { role: 'adClicks', color: this.getSeriesColor(0), axis: 'y1' },
+        { role: 'adConversions', color: this.getSeriesColor(1), axis: 'y1' }
+      ].filter(item => this.getField(item.role));
+      
+      if (!this.getField('date') || !series.length) return null;
+      
+      // ROAS is derived per day, week, month or quarter from conversion value and spend
+      const hasRoas = !!(this.getField('cost') && this.getField('conversionValue'));
+      const roles = series.map(item => item.role).concat(hasRoas ? ['conversionValue'] : []);
+      const granularity = this.getChartGranularity('adsTrendChart');
+      const rows = this.summarizeByPeriod(roles, this.getRowIndices('current'), granularity);
+      
+      const datasets = series.map(item => ({
+        label: this.getRoleLabel(item.role),
+        role: item.role,
+        data: rows.map(row => row.values[item.role]),
+        borderColor: `rgb(${item.color})`,
+        backgroundColor: `rgba(${item.color}, 0.1)`,
+        tension: 0.3,
+        fill: item.axis === 'y',
+        yAxisID: item.axis
+      }));
+      
+      if (hasRoas) {
+        datasets.push({
+          label: this.t('chart.roas'),
+          data: rows.map(row => row.values.cost ? row.values.conversionValue / row.values.cost : null),
+          borderColor: `rgb(${this.getSeriesColor(4)})`,
+          backgroundColor: `rgba(${this.getSeriesColor(4)}, 0.1)`,
+          tension: 0.3,
+          fill: false,
+          yAxisID: 'yRoas'
+        });
+      }
+      
+      return this.withForecast({
+        labels: rows.map(row => parseDateValue(row.key).getTime()),
+        datasets: datasets.concat(this.getComparisonDatasets(rows, series, granularity))
+      }, rows, series, granularity);
+    }
+    
+    initAdsTrendChart() {
+      const ctx = document.getElementById('adsTrendChart');
       if (!ctx) return;
       
-      this.charts.adChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-          labels: ['Brand', 'Product', 'Remarketing', 'Search', 'Display'],
-          datasets: [
-            {
-              label: 'Clicks',
-              data: [4521, 3874, 2987, 2541, 1874],
-              backgroundColor: 'rgba(59, 130, 246, 0.7)',
-              borderWidth: 0,
-              yAxisID: 'y'
-            },
-            {
-              label: 'Conversions',
-              data: [387, 312, 284, 198, 103],
-              backgroundColor: 'rgba(16, 185, 129, 0.7)',
-              borderWidth: 0,
-              yAxisID: 'y1'
-            }
-          ]
-        },
+      const data = this.getAdsTrendChartData();
+      if (!data) {
+        this.showChartMessage(ctx, this.t('chart.adsTrendChart.unbound'));
+        return;
+      }
+      
+      const cost = this.getField('cost');
+      
+      this.charts.adsTrendChart = new Chart(ctx, {
+        type: 'line',
+        data: data,
         options: {
           responsive: true,
           maintainAspectRatio: false,
+          interaction: {
+            mode: 'index',
+            intersect: false
+          },
           plugins: {
             legend: {
               position: 'top',
-              display: this.style && this.style.showLegend !== false
+              display: this.getStyleValue('showLegend') !== false,
+              labels: {
+                filter: (item, chartData) => !chartData.datasets[item.datasetIndex].forecastBand
+              }
+            },
+            tooltip: {
+              filter: (item) => !item.dataset.forecastBand,
+              callbacks: {
+                title: (items) => this.describePeriod('adsTrendChart', items),
+                label: (context) => {
+                  const role = context.dataset.role;
+                  const value = role ?
+                    this.formatMetricValue(context.parsed.y, this.getField(role).type) :
+                    this.t('chart.roasValue', {
+                      value: this.formatNumber(context.parsed.y, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+                    });
+                  return `${context.dataset.label}: ${value}`;
+                },
+                afterLabel: (context) => this.describeForecast(context)
+              }
             }
           },
           scales: {
+            x: this.getTimeScale('adsTrendChart'),
             y: {
+              display: !!cost,
               beginAtZero: true,
               position: 'left',
+              ticks: {
+                callback: (value) => cost ? this.formatMetricValue(value, cost.type) : value
+              },
               title: {
                 display: true,
-                text: 'Clicks'
+                text: this.t('axis.spend')
               }
             },
             y1: {
@@ -1052,47 +5231,74 @@
               },
               title: {
                 display: true,
-                text: 'Conversions'
+                text: this.t('axis.clicksConversions')
               }
+            },
+            yRoas: {
+              display: false,
+              beginAtZero: true
             }
           },
           animation: {
-            duration: this.style && this.style.enableAnimation !== false ? 1000 : 0
+            duration: this.getStyleValue('enableAnimation') !== false ? 1000 : 0
           }
         }
       });
     }
     
+    showChartMessage(canvas, message) {
+      // Replace a chart canvas with a hint when its fields aren't bound
+      canvas.parentNode.innerHTML = `
+        <div class="h-full flex items-center justify-center text-center text-sm text-gray-400 px-6">${escapeHTML(message)}</div>
+      `;
+    }
+    
+    formatPeriodLabel(value, granularity, long) {
+      // Label for the day, week, month or quarter starting at a timestamp; long labels
+      // (tooltips and exports) carry the year
+      const date = new Date(value);
+      const dayOptions = long ? { month: 'short', day: 'numeric', year: 'numeric' } : { month: 'short', day: 'numeric' };
+      
+      switch (granularity) {
+        case 'week':
+          return long ? this.t('granularity.weekOf', { date: this.formatDate(date, dayOptions) }) : this.formatDate(date, dayOptions);
+        case 'month':
+          return this.formatDate(date, { month: 'short', year: 'numeric' });
+        case 'quarter':
+          return this.t('granularity.quarterOf', {
+            quarter: this.formatNumber(Math.floor(date.getMonth() / 3) + 1),
+            year: this.formatDate(date, { year: 'numeric' })
+          });
+        case 'year':
+          return this.formatDate(date, { year: 'numeric' });
+        default:
+          return this.formatDate(date, dayOptions);
+      }
+    }
+    
+    setActiveTab(tabId) {
+      // Highlight the tab link and show only its content
+      this.container.querySelectorAll('[data-tab]').forEach(tab => {
+        const active = tab.getAttribute('data-tab') === tabId;
+        tab.classList.toggle('tab-active', active);
+        tab.classList.toggle('text-gray-500', !active);
+      });
+      
+      this.container.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.toggle('hidden', content.id !== tabId);
+      });
+      
+      this.activeTab = tabId;
+    }
+    
     addEventListeners() {
       // Tab switching
       const tabs = document.querySelectorAll('[data-tab]');
-      const tabContents = document.querySelectorAll('.tab-content');
       
       tabs.forEach(tab => {
         tab.addEventListener('click', (e) => {
           e.preventDefault();
-          
-          // Remove active class from all tabs
-          tabs.forEach(t => {
-            t.classList.remove('tab-active');
-            t.classList.add('text-gray-500');
-          });
-          
-          // Add active class to clicked tab
-          tab.classList.add('tab-active');
-          tab.classList.remove('text-gray-500');
-          
-          // Hide all tab contents
-          tabContents.forEach(content => {
-            content.classList.add('hidden');
-          });
-          
-          // Show the selected tab content
-          const tabId = tab.getAttribute('data-tab');
-          document.getElementById(tabId).classList.remove('hidden');
-          
-          // Update active tab
-          this.activeTab = tabId;
+          this.setActiveTab(tab.getAttribute('data-tab'));
         });
       });
       
@@ -1100,27 +5306,55 @@
       const dateRange = document.getElementById('dateRange');
       if (dateRange) {
         dateRange.addEventListener('change', () => {
+          // A custom range starts out as the period on screen, then follows the inputs
+          if (dateRange.value === 'custom') this.customRange = this.getPeriods().current;
           this.dateRange = dateRange.value;
-          // In a real implementation, this would trigger a data refresh
-          console.log('Date range changed to:', this.dateRange);
+          this.refresh();
         });
       }
       
+      // Custom range start and end dates
+      const rangeStart = document.getElementById('dateRangeStart');
+      const rangeEnd = document.getElementById('dateRangeEnd');
+      [rangeStart, rangeEnd].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+          const start = parseDateValue(rangeStart.value);
+          const end = parseDateValue(rangeEnd.value);
+          if (!start || !end) return;
+          
+          this.customRange = this.clampToData({ start, end });
+          this.refresh();
+        });
+      });
+      
       // Device filter
       const deviceFilter = document.getElementById('deviceFilter');
       if (deviceFilter) {
         deviceFilter.addEventListener('change', () => {
           this.deviceFilter = deviceFilter.value;
-          // In a real implementation, this would filter the data
-          console.log('Device filter changed to:', this.deviceFilter);
+          this.sendFilterInteraction();
+          this.refresh();
         });
       }
       
       // Export PDF button
       const exportPDF = document.getElementById('exportPDF');
       if (exportPDF) {
-        exportPDF.addEventListener('click', () => {
-          alert('PDF export functionality would be implemented here. In a real dashboard, this would generate and download a PDF report.');
+        exportPDF.addEventListener('click', async () => {
+          const label = exportPDF.textContent;
+          exportPDF.disabled = true;
+          exportPDF.textContent = this.t('export.exporting');
+          
+          try {
+            await this.exportPDF();
+          } catch (error) {
+            console.error('PDF export failed:', error);
+            alert(this.t('export.pdfFailed', { message: error.message }));
+          } finally {
+            exportPDF.disabled = false;
+            exportPDF.textContent = label;
+          }
         });
       }
       
@@ -1128,8 +5362,241 @@
       const comparisonToggle = document.getElementById('comparisonToggle');
       if (comparisonToggle) {
         comparisonToggle.addEventListener('click', () => {
-          alert('In a real dashboard, this would toggle comparison data visibility in charts and tables.');
+          this.showComparison = !this.showComparison;
+          comparisonToggle.querySelector('span').textContent = this.t(this.showComparison ? 'comparison.hide' : 'comparison.show');
+          comparisonToggle.querySelector('svg').classList.toggle('rotate-180', this.showComparison);
+          this.refresh();
+        });
+      }
+      
+      // Comparison period
+      const comparisonMode = document.getElementById('comparisonMode');
+      if (comparisonMode) {
+        comparisonMode.addEventListener('change', () => {
+          this.comparisonMode = comparisonMode.value;
+          this.refresh();
+        });
+      }
+    }
+    
+    getActiveFilters() {
+      const periods = this.getPeriods();
+      const filters = [
+        { label: this.t('pdf.period'), value: this.formatPeriod(periods.current) },
+        { label: this.t('pdf.devices'), value: this.getDeviceLabel(this.deviceFilter) }
+      ];
+      
+      Object.keys(this.crossFilters).forEach(role => {
+        filters.push({ label: this.getRoleLabel(role), value: this.crossFilters[role] });
+      });
+      
+      if (this.showComparison) {
+        filters.push({
+          label: this.t('pdf.comparedWith'),
+          value: `${this.formatPeriod(periods.previous)} (${this.getComparisonLabel()})`
+        });
+      }
+      
+      return filters;
+    }
+    
+    async exportPDF() {
+      const doc = new window.jspdf.jsPDF({
+        orientation: this.getStyleValue('pdfOrientation') || 'portrait',
+        unit: 'pt',
+        format: this.getStyleValue('pdfPageSize') || 'a4'
+      });
+      
+      const pageWidth = doc.internal.pageSize.getWidth();
+      const pageHeight = doc.internal.pageSize.getHeight();
+      const margin = 36;
+      const font = PDF_FONTS[this.locale.split('-')[0].toLowerCase()] || 'helvetica';
+      const contentWidth = pageWidth - margin * 2;
+      let y = margin;
+      
+      const ensureSpace = (height) => {
+        if (y + height > pageHeight - margin) {
+          doc.addPage();
+          y = margin;
+        }
+      };
+      
+      const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+      
+      // Header with the active filters
+      doc.setFont(font, 'bold');
+      doc.setFontSize(18);
+      doc.setTextColor(31, 41, 55);
+      doc.text(this.t('header.title'), margin, y + 14);
+      y += 30;
+      
+      doc.setFont(font, 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(107, 114, 128);
+      const filterLines = doc.splitTextToSize(
+        this.getActiveFilters().map(filter => `${filter.label}: ${filter.value}`).join('    '),
+        contentWidth
+      );
+      doc.text(filterLines, margin, y);
+      y += filterLines.length * 12 + 8;
+      
+      // Date comparison banner
+      const periods = this.getPeriods();
+      doc.setFillColor(239, 246, 255);
+      doc.roundedRect(margin, y, contentWidth, 26, 4, 4, 'F');
+      doc.setFontSize(10);
+      doc.setTextColor(30, 64, 175);
+      doc.text(
+        this.t('pdf.comparison', {
+          current: this.formatPeriod(periods.current),
+          previous: this.formatPeriod(periods.previous),
+          comparison: this.getComparisonLabel()
+        }),
+        margin + 10,
+        y + 17
+      );
+      y += 40;
+      
+      // KPI cards, four per row
+      const drawCards = (cards) => {
+        const perRow = 4;
+        const gap = 8;
+        const cardWidth = (contentWidth - gap * (perRow - 1)) / perRow;
+        const cardHeight = 54;
+        
+        cards.forEach((card, i) => {
+          const column = i % perRow;
+          if (column === 0) {
+            if (i > 0) y += cardHeight + gap;
+            ensureSpace(cardHeight);
+          }
+          const x = margin + column * (cardWidth + gap);
+          
+          doc.setDrawColor(229, 231, 235);
+          doc.roundedRect(x, y, cardWidth, cardHeight, 4, 4, 'S');
+          doc.setFontSize(8);
+          doc.setTextColor(107, 114, 128);
+          doc.text(textOf(card.querySelector('p')), x + 8, y + 14);
+          doc.setFont(font, 'bold');
+          doc.setFontSize(14);
+          doc.setTextColor(31, 41, 55);
+          doc.text(textOf(card.querySelector('h3')), x + 8, y + 32);
+          doc.setFont(font, 'normal');
+          doc.setFontSize(7);
+          doc.setTextColor(107, 114, 128);
+          doc.text(doc.splitTextToSize(textOf(card.querySelector('.mt-1')), cardWidth - 16)[0] || '', x + 8, y + 46);
+        });
+        if (cards.length) y += cardHeight + 20;
+      };
+      
+      // Charts are redrawn offscreen, so ones on hidden tabs come out too
+      const exportedCharts = new Set();
+      const drawChart = (id) => {
+        const chart = this.charts[id];
+        if (!chart || exportedCharts.has(id)) return;
+        exportedCharts.add(id);
+        
+        const ratio = PDF_CHART_SIZE.height / PDF_CHART_SIZE.width;
+        const width = Math.min(contentWidth, 220 / ratio);
+        const height = width * ratio;
+        ensureSpace(height + 24);
+        
+        const card = chart.canvas && chart.canvas.closest('.card');
+        doc.setFont(font, 'bold');
+        doc.setFontSize(11);
+        doc.setTextColor(31, 41, 55);
+        doc.text(textOf(card && card.querySelector('h3')), margin, y + 10);
+        doc.addImage(this.renderChartImage(id), 'PNG', margin, y + 18, width, height);
+        y += height + 36;
+      };
+      
+      // Tables, paginated by the autotable plugin. Rows come from the same dataset as the
+      // CSV/XLSX export, so they aren't cut to the page, search or top N shown on screen.
+      const drawTable = (id) => {
+        const dataset = this.tableExports[id];
+        const card = this.container.querySelector(`[data-widget="${id}"]`);
+        
+        ensureSpace(60);
+        doc.setFont(font, 'bold');
+        doc.setFontSize(11);
+        doc.setTextColor(31, 41, 55);
+        doc.text(textOf(card && card.querySelector('h3')), margin, y + 10);
+        
+        doc.autoTable({
+          head: [dataset.columns.map(column => column.label)],
+          body: dataset.rows.map(row => row.map((value, c) => {
+            const column = dataset.columns[c];
+            if (value === null || value === undefined) return '\u2014';
+            return column.format ? column.format(value) : String(value);
+          })),
+          startY: y + 18,
+          margin: { left: margin, right: margin },
+          styles: { font: font, fontSize: 8 },
+          headStyles: { fillColor: [59, 130, 246] }
         });
+        y = doc.lastAutoTable.finalY + 24;
+      };
+      
+      // Every tab, not just the one on screen, each starting on a new page
+      const tabs = Array.from(this.container.querySelectorAll('.tab-content'));
+      tabs.forEach((tab, i) => {
+        if (i > 0) {
+          doc.addPage();
+          y = margin;
+        }
+        
+        doc.setFont(font, 'bold');
+        doc.setFontSize(14);
+        doc.setTextColor(31, 41, 55);
+        doc.text(this.t('tab.' + tab.id), margin, y + 12);
+        y += 28;
+        doc.setFont(font, 'normal');
+        
+        drawCards(Array.from(tab.querySelectorAll('.scorecard')));
+        Array.from(tab.querySelectorAll('canvas')).forEach(canvas => drawChart(canvas.id));
+        Array.from(tab.querySelectorAll('[data-widget]'))
+          .filter(card => card.querySelector('table') && this.tableExports[card.dataset.widget])
+          .forEach(card => drawTable(card.dataset.widget));
+      });
+      
+      // Any chart outside the tabs
+      Object.keys(this.charts).forEach(drawChart);
+      
+      // Page numbers
+      const pageCount = doc.getNumberOfPages();
+      for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFont(font, 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(156, 163, 175);
+        doc.text(this.t('pdf.page', { page: page, count: pageCount }), pageWidth - margin, pageHeight - 16, { align: 'right' });
+      }
+      
+      doc.save(`marketing-dashboard-${toDateKey(new Date())}.pdf`);
+    }
+    
+    renderChartImage(id) {
+      // PNG of a chart drawn on a fixed-size offscreen canvas; charts on hidden tabs have no size of their own
+      const chart = this.charts[id];
+      const canvas = document.createElement('canvas');
+      canvas.width = PDF_CHART_SIZE.width;
+      canvas.height = PDF_CHART_SIZE.height;
+      
+      const copy = new Chart(canvas, {
+        type: chart.config.type,
+        data: {
+          labels: chart.data.labels.slice(),
+          datasets: chart.data.datasets.map(dataset => Object.assign({}, dataset, { data: dataset.data.slice() })),
+          annotations: chart.data.annotations
+        },
+        plugins: chart.config.plugins,
+        options: Object.assign({}, chart.config.options, { responsive: false, animation: false, devicePixelRatio: 2 })
+      });
+      
+      try {
+        return copy.toBase64Image();
+      } finally {
+        copy.destroy();
       }
     }
     
@@ -1157,10 +5624,10 @@
                 <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" />
               </svg>
             </div>
-            <div class="ml-3">
-              <h3 class="text-sm font-medium text-red-800">Error</h3>
+            <div class="ms-3">
+              <h3 class="text-sm font-medium text-red-800">${escapeHTML(this.t('error.title'))}</h3>
               <div class="mt-2 text-sm text-red-700">
-                <p>${message}</p>
+                <p>${escapeHTML(message)}</p>
               </div>
             </div>
           </div>
@@ -1169,10 +5636,20 @@
     }
   }
   
-  // Register the visualization with Looker Studio
+  // CommonJS consumers (the test suite) get the class without the Looker Studio registration below
+  if (typeof module === 'object' && module.exports) {
+    module.exports = { MarketingDashboard, FIELD_ROLES };
+  }
+  
+  // Only register when running inside Looker Studio (or the dev harness), where dscc is provided
+  if (typeof dscc === 'undefined') return;
+  
+  // Register the visualization with Looker Studio; one dashboard lives for the whole session
+  const dashboard = new MarketingDashboard();
+  const ready = dashboard.initialize(document.body);
+  
   dscc.subscribeToData(function(data) {
-    const dashboard = new MarketingDashboard();
-    dashboard.initialize(document.body).then(() => {
+    ready.then(() => {
       dashboard.draw(data, data.style);
     });
   });
@@ -0,0 +1,11 @@
+// Copy the static community viz files next to the bundle so dist/ can be uploaded as-is
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const dist = path.join(root, 'dist');
+
+fs.mkdirSync(dist, { recursive: true });
+['manifest.json', 'index.html'].forEach((file) => {
+  fs.copyFileSync(path.join(root, file), path.join(dist, file));
+});
@@ -0,0 +1,46 @@
+// Local development server: rebuilds the bundle on change and serves the dev harness at /dev/
+const esbuild = require('esbuild');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const root = path.join(__dirname, '..');
+const port = Number(process.env.PORT) || 8080;
+
+const start = async () => {
+  // Recompile Tailwind when myViz.js changes; esbuild picks up the new CSS through its import
+  const tailwind = spawn(process.execPath, [
+    require.resolve('tailwindcss/lib/cli.js'),
+    '-c', 'tailwind.config.js',
+    '-i', 'src/styles.css',
+    '-o', 'build/tailwind.css',
+    '--watch'
+  ], { cwd: root, stdio: ['pipe', 'inherit', 'inherit'] });
+  
+  const ctx = await esbuild.context({
+    entryPoints: { myViz: path.join(root, 'src/index.js') },
+    bundle: true,
+    sourcemap: true,
+    target: 'es2019',
+    loader: { '.woff2': 'dataurl', '.woff': 'dataurl', '.ttf': 'base64' },
+    // jsPDF's HTML and SVG renderers are optional and unused
+    external: ['html2canvas', 'dompurify', 'canvg'],
+    outdir: path.join(root, 'dev/bundle'),
+    logLevel: 'info'
+  });
+  
+  await ctx.watch();
+  await ctx.serve({ servedir: root, port });
+  console.log(`Dev harness running at http://localhost:${port}/dev/`);
+  
+  const stop = () => {
+    tailwind.kill();
+    ctx.dispose().then(() => process.exit(0));
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+};
+
+start().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+// Libraries myViz.js expects as globals, bundled instead of fetched from CDNs
+import {
+  Chart,
+  LineController,
+  BarController,
+  DoughnutController,
+  LineElement,
+  BarElement,
+  ArcElement,
+  PointElement,
+  CategoryScale,
+  LinearScale,
+  TimeScale,
+  Filler,
+  Legend,
+  Tooltip
+} from 'chart.js';
+import * as luxon from 'luxon';
+import 'chartjs-adapter-luxon';
+import writeXlsxFile from 'write-excel-file/browser';
+import { jsPDF } from 'jspdf';
+import { applyPlugin } from 'jspdf-autotable';
+import notoSansArabic from '@expo-google-fonts/noto-sans-arabic/400Regular/NotoSansArabic_400Regular.ttf';
+
+// Only the chart types, scales and plugins the dashboard actually uses
+Chart.register(
+  LineController,
+  BarController,
+  DoughnutController,
+  LineElement,
+  BarElement,
+  ArcElement,
+  PointElement,
+  CategoryScale,
+  LinearScale,
+  TimeScale,
+  Filler,
+  Legend,
+  Tooltip
+);
+
+// jsPDF with the autotable plugin, exposed under the same name as its UMD build
+applyPlugin(jsPDF);
+
+// jsPDF's standard fonts are Latin only; Arabic-script PDFs use Noto Sans Arabic,
+// which also covers Latin. One weight keeps the bundle smaller, so bold reuses it.
+jsPDF.API.events.push(['addFonts', function () {
+  this.addFileToVFS('NotoSansArabic-Regular.ttf', notoSansArabic);
+  this.addFont('NotoSansArabic-Regular.ttf', 'NotoSansArabic', 'normal');
+  this.addFont('NotoSansArabic-Regular.ttf', 'NotoSansArabic', 'bold');
+}]);
+
+window.Chart = Chart;
+window.luxon = luxon;
+window.writeXlsxFile = writeXlsxFile;
+window.jspdf = { jsPDF };
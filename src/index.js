@@ -0,0 +1,10 @@
+// Build entry: libraries and styles first, then the visualization itself
+// (imports are hoisted, so the globals must live in their own module)
+import './globals';
+import '@fontsource/inter/latin-300.css';
+import '@fontsource/inter/latin-400.css';
+import '@fontsource/inter/latin-500.css';
+import '@fontsource/inter/latin-600.css';
+import '@fontsource/inter/latin-700.css';
+import '../build/tailwind.css';
+import '../myViz.js';
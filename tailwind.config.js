@@ -0,0 +1,8 @@
+// Tailwind is compiled ahead of time, so only the classes used by the viz end up in the bundle
+module.exports = {
+  content: ['./myViz.js'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
@@ -0,0 +1,110 @@
+const { MarketingDashboard } = require('../myViz');
+const { createTable, installChart, loadFixture, render, sumColumn, getKpiValue } = require('./helpers');
+
+jest.useFakeTimers();
+
+const extract = (data) => {
+  const dashboard = new MarketingDashboard();
+  dashboard.data = data;
+  dashboard.style = data.style;
+  dashboard.extractData();
+  return dashboard;
+};
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('metric definitions', () => {
+  // Campaigns of very different size, so naive averages are far off
+  const ads = createTable(
+    [{ id: 'campaign', name: 'Campaign', type: 'TEXT' }],
+    [
+      { id: 'adClicks', name: 'Ad Clicks', type: 'NUMBER' },
+      { id: 'adImpressions', name: 'Ad Impressions', type: 'NUMBER' },
+      { id: 'adCtr', name: 'Ad CTR', type: 'PERCENT' },
+      { id: 'cost', name: 'Cost', type: 'CURRENCY_USD' },
+      { id: 'conversions', name: 'Conversions', type: 'NUMBER' },
+      { id: 'cpa', name: 'Cost / Conv.', type: 'CURRENCY_USD' }
+    ],
+    [
+      ['Brand', 90, 1000, 0.09, 100, 10, 10],
+      ['Display', 10, 9000, 0.0011, 300, 5, 60],
+      ['Video', 0, 0, null, 50, 0, null]
+    ]
+  );
+  
+  test('recomputes ratios from the totals of their base metrics', () => {
+    const dashboard = extract(ads);
+    
+    expect(dashboard.aggregateRole('adClicks', [0, 1, 2])).toBe(100);
+    expect(dashboard.aggregateRole('adCtr', [0, 1, 2])).toBeCloseTo(100 / 10000, 10);
+    expect(dashboard.aggregateRole('costPerConversion', [0, 1, 2])).toBeCloseTo(450 / 15, 10);
+    
+    // Undefined rather than zero when nothing converted
+    expect(dashboard.aggregateRole('costPerConversion', [2])).toBeNull();
+  });
+  
+  test('rolls ratios up the same way per group', () => {
+    const dashboard = extract(ads);
+    const rows = dashboard.summarize('campaign', ['adCtr'], [0, 1, 2], { sortBy: 'key' });
+    
+    expect(rows.map(row => row.values.adCtr)).toEqual([0.09, 10 / 9000, null]);
+  });
+  
+  test('recomputes ratios whose own column is empty', () => {
+    const table = ads.tables.DEFAULT;
+    const dashboard = extract(createTable(
+      table.dimensions,
+      table.metrics,
+      table.rows.map(row => row.slice(0, 3).concat(null, row.slice(4, 6), null))
+    ));
+    
+    expect(dashboard.aggregateRole('adCtr', [0, 1])).toBeCloseTo(100 / 10000, 10);
+    expect(dashboard.aggregateRole('costPerConversion', [0, 1, 2])).toBeCloseTo(450 / 15, 10);
+  });
+  
+  test('weights ratios by their denominator when the numerator is not bound', () => {
+    const table = ads.tables.DEFAULT;
+    const dashboard = extract(createTable(
+      table.dimensions,
+      [table.metrics[1], table.metrics[2]],
+      table.rows.map(row => [row[0], row[2], row[3]])
+    ));
+    
+    expect(dashboard.aggregateRole('adCtr', [0, 1])).toBeCloseTo((90 + 9000 * 0.0011) / 10000, 10);
+  });
+  
+  test('weights position by impressions and averages unknown percentages', () => {
+    const dashboard = extract(createTable(
+      [{ id: 'query', name: 'Query', type: 'TEXT' }],
+      [
+        { id: 'impressions', name: 'Impressions', type: 'NUMBER' },
+        { id: 'position', name: 'Average Position', type: 'NUMBER' },
+        { id: 'share', name: 'Impression Share', type: 'PERCENT' }
+      ],
+      [
+        ['dashboard', 900, 2, 0.5],
+        ['marketing', 100, 12, 0.3]
+      ]
+    ));
+    
+    expect(dashboard.aggregateRole('position', [0, 1])).toBeCloseTo(3, 10);
+    expect(dashboard.aggregateMetric(dashboard.metrics[2], [0, 1])).toBeCloseTo(0.4, 10);
+  });
+});
+
+describe('ratio metrics on the dashboard', () => {
+  const data = loadFixture('search-console');
+  
+  beforeEach(() => {
+    installChart();
+  });
+  
+  test('shows CTR as total clicks over total impressions in KPIs', async () => {
+    const dashboard = await render(data);
+    const ctr = sumColumn(data, 'clicks', '20260901', '20260930') / sumColumn(data, 'impressions', '20260901', '20260930');
+    
+    expect(getKpiValue(dashboard.container, 'CTR')).toBe(dashboard.formatMetricValue(ctr, 'PERCENT'));
+  });
+});
@@ -0,0 +1,105 @@
+const { installChart, loadFixture, render, sumColumn, getKpiValue } = require('./helpers');
+
+jest.useFakeTimers();
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+// Periods as YYYYMMDD pairs, matching the fixture's date values
+const toKey = (date) => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+const keys = (period) => [toKey(period.start), toKey(period.end)];
+
+const change = (element, value) => {
+  element.value = value;
+  element.dispatchEvent(new Event('change'));
+};
+
+describe('date range presets', () => {
+  // The GA4 fixture covers 2026-07-03 to 2026-09-30
+  const data = loadFixture('ga4');
+  
+  test('anchors calendar presets to the latest date and compares with the previous month, quarter or year', async () => {
+    const dashboard = await render(data);
+    const select = dashboard.container.querySelector('#dateRange');
+    
+    change(select, 'mtd');
+    expect(keys(dashboard.getPeriods().current)).toEqual(['20260901', '20260930']);
+    expect(keys(dashboard.getPeriods().previous)).toEqual(['20260801', '20260830']);
+    
+    change(select, 'lastMonth');
+    expect(keys(dashboard.getPeriods().current)).toEqual(['20260801', '20260831']);
+    expect(keys(dashboard.getPeriods().previous)).toEqual(['20260701', '20260731']);
+    expect(getKpiValue(dashboard.container, 'Users'))
+      .toBe(sumColumn(data, 'totalUsers', '20260801', '20260831').toLocaleString('en-US'));
+    
+    change(select, 'qtd');
+    expect(keys(dashboard.getPeriods().current)).toEqual(['20260701', '20260930']);
+    expect(keys(dashboard.getPeriods().previous)).toEqual(['20260401', '20260630']);
+    
+    change(select, 'ytd');
+    expect(keys(dashboard.getPeriods().current)).toEqual(['20260101', '20260930']);
+    expect(keys(dashboard.getPeriods().previous)).toEqual(['20250101', '20250930']);
+  });
+});
+
+describe('custom date range', () => {
+  const data = loadFixture('ga4');
+  
+  test('starts from the period on screen and limits the inputs to the dates in the data', async () => {
+    const dashboard = await render(data);
+    const picker = dashboard.container.querySelector('#customDateRange');
+    expect(picker.classList.contains('hidden')).toBe(true);
+    
+    change(dashboard.container.querySelector('#dateRange'), 'custom');
+    const start = dashboard.container.querySelector('#dateRangeStart');
+    const end = dashboard.container.querySelector('#dateRangeEnd');
+    
+    expect(picker.classList.contains('hidden')).toBe(false);
+    expect([start.value, end.value]).toEqual(['2026-09-01', '2026-09-30']);
+    expect(start.min).toBe('2026-07-03');
+    expect(end.max).toBe('2026-09-30');
+  });
+  
+  test('filters to the picked dates and compares with the equally long window before them', async () => {
+    const dashboard = await render(data);
+    change(dashboard.container.querySelector('#dateRange'), 'custom');
+    change(dashboard.container.querySelector('#dateRangeStart'), '2026-09-10');
+    change(dashboard.container.querySelector('#dateRangeEnd'), '2026-09-20');
+    
+    expect(keys(dashboard.getPeriods().previous)).toEqual(['20260830', '20260909']);
+    expect(getKpiValue(dashboard.container, 'Users'))
+      .toBe(sumColumn(data, 'totalUsers', '20260910', '20260920').toLocaleString('en-US'));
+    expect(dashboard.container.querySelector('#dateRangeEnd').min).toBe('2026-09-10');
+  });
+  
+  test('clamps dates outside the data to its first and last day', async () => {
+    const dashboard = await render(data);
+    change(dashboard.container.querySelector('#dateRange'), 'custom');
+    change(dashboard.container.querySelector('#dateRangeStart'), '2026-01-15');
+    
+    expect(keys(dashboard.getPeriods().current)).toEqual(['20260703', '20260930']);
+    expect(dashboard.container.querySelector('#dateRangeStart').value).toBe('2026-07-03');
+  });
+  
+  test('is unavailable without a date dimension', async () => {
+    const table = data.tables.DEFAULT;
+    const undated = {
+      tables: {
+        DEFAULT: {
+          dimensions: table.dimensions.slice(1),
+          metrics: table.metrics,
+          rows: table.rows.map(row => row.slice(1))
+        }
+      },
+      style: data.style
+    };
+    const dashboard = await render(undated);
+    
+    expect(dashboard.container.querySelector('#dateRange option[value="custom"]').disabled).toBe(true);
+  });
+});
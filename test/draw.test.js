@@ -0,0 +1,197 @@
+const { installChart, loadFixture, createTable, render, sumColumn, getKpiValue } = require('./helpers');
+
+jest.useFakeTimers();
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('draw with GA4 data', () => {
+  const data = loadFixture('ga4');
+  
+  test('shows current-period totals and the change on the KPI cards', async () => {
+    const dashboard = await render(data);
+    const users = sumColumn(data, 'totalUsers', '20260901', '20260930');
+    const previousUsers = sumColumn(data, 'totalUsers', '20260802', '20260831');
+    const change = ((users - previousUsers) / previousUsers * 100).toFixed(1);
+    
+    expect(getKpiValue(dashboard.container, 'Users')).toBe(users.toLocaleString('en-US'));
+    expect(getKpiValue(dashboard.container, 'Sessions'))
+      .toBe(sumColumn(data, 'sessions', '20260901', '20260930').toLocaleString('en-US'));
+    expect(dashboard.container.querySelector('[data-section="scorecards"]').textContent).toContain(`+${change}%`);
+  });
+  
+  test('marks KPI cards without a bound metric as unmapped', async () => {
+    const dashboard = await render(data);
+    const unmapped = Array.from(dashboard.container.querySelectorAll('.scorecard-unmapped'))
+      .map(card => card.querySelector('p').textContent.trim());
+    
+    expect(unmapped).toEqual(expect.arrayContaining(['Search Clicks', 'Ad Spend', 'Avg. Position']));
+    expect(getKpiValue(dashboard.container, 'Ad Spend')).toBe('—');
+  });
+  
+  test('builds the traffic chart from the daily totals of the current period', async () => {
+    const dashboard = await render(data);
+    const chart = dashboard.charts.trafficChart;
+    const users = chart.data.datasets.find(dataset => dataset.role === 'users');
+    
+    expect(chart.config.type).toBe('line');
+    expect(chart.data.labels).toHaveLength(30);
+    expect(users.data[29]).toBe(sumColumn(data, 'totalUsers', '20260930', '20260930'));
+    expect(users.data.reduce((sum, value) => sum + value, 0)).toBe(sumColumn(data, 'totalUsers', '20260901', '20260930'));
+  });
+  
+  test('lists landing pages by users, highest first', async () => {
+    const dashboard = await render(data);
+    const rows = Array.from(dashboard.container.querySelectorAll('[data-widget="landingPages"] tbody tr'));
+    const users = rows.map(row => Number(row.cells[1].textContent.replace(/,/g, '')));
+    
+    expect(rows).toHaveLength(5);
+    expect(users).toEqual(users.slice().sort((a, b) => b - a));
+    expect(rows[0].cells[0].textContent.trim()).toMatch(/^\//);
+  });
+  
+  test('filters cards and charts by device', async () => {
+    const dashboard = await render(data);
+    const select = dashboard.container.querySelector('#deviceFilter');
+    select.value = 'tablet';
+    select.dispatchEvent(new Event('change'));
+    jest.runOnlyPendingTimers();
+    
+    const table = data.tables.DEFAULT;
+    const expected = table.rows
+      .filter(row => row[1] === 'tablet' && row[0] >= '20260901')
+      .reduce((sum, row) => sum + row[4], 0);
+    expect(getKpiValue(dashboard.container, 'Users')).toBe(expected.toLocaleString('en-US'));
+  });
+  
+  test('keeps devices outside the standard list selectable from the device chart', async () => {
+    const dashboard = await render(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }, { id: 'deviceCategory', name: 'Device Category', type: 'TEXT' }],
+      [{ id: 'totalUsers', name: 'Total Users', type: 'NUMBER' }],
+      [['20260901', 'desktop', 50], ['20260901', 'Smart TV', 7]]
+    ));
+    const select = dashboard.container.querySelector('#deviceFilter');
+    const chart = dashboard.charts.deviceChart;
+    
+    dashboard.handleChartClick('deviceChart', [{ index: chart.data.labels.indexOf('Smart TV') }]);
+    
+    expect(select.value).toBe('smart tv');
+    expect(select.options[select.selectedIndex].textContent).toBe('Smart TV');
+    expect(getKpiValue(dashboard.container, 'Users')).toBe('7');
+  });
+});
+
+describe('draw with Search Console and Google Ads data', () => {
+  test('charts clicks and impressions and fills the query table', async () => {
+    const data = loadFixture('search-console');
+    const dashboard = await render(data);
+    const chart = dashboard.charts.searchChart;
+    
+    expect(chart.data.datasets.map(dataset => dataset.role)).toEqual(expect.arrayContaining(['searchClicks', 'searchImpressions']));
+    // Six queries: the first page of five plus a search box
+    expect(dashboard.container.querySelectorAll('[data-widget="searchQueries"] tbody tr')).toHaveLength(5);
+    expect(dashboard.container.querySelector('[data-widget="searchQueries"] input[type="search"]')).not.toBeNull();
+    expect(getKpiValue(dashboard.container, 'Search Clicks'))
+      .toBe(sumColumn(data, 'clicks', '20260901', '20260930').toLocaleString('en-US'));
+  });
+  
+  test('shows spend and campaign rows for Ads data', async () => {
+    const data = loadFixture('google-ads');
+    const dashboard = await render(data);
+    const spend = sumColumn(data, 'cost', '20260901', '20260930');
+    const campaigns = dashboard.container.querySelectorAll('[data-widget="adCampaigns"] tbody tr');
+    
+    expect(getKpiValue(dashboard.container, 'Ad Spend'))
+      .toBe(spend.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }));
+    expect(campaigns).toHaveLength(4);
+    expect(dashboard.charts.adChart.config.type).toBe('bar');
+  });
+});
+
+describe('draw with missing data', () => {
+  test('renders dashes and empty charts for a table without rows', async () => {
+    const dashboard = await render(loadFixture('empty'));
+    
+    expect(getKpiValue(dashboard.container, 'Users')).toBe('—');
+    expect(dashboard.container.querySelector('[data-section="scorecards"]').textContent).toContain('No data for previous period');
+    expect(dashboard.charts.trafficChart.data.labels).toEqual([]);
+  });
+  
+  test('explains which fields a table needs when its dimension is unbound', async () => {
+    const dashboard = await render(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }],
+      [{ id: 'users', name: 'Users', type: 'NUMBER' }],
+      [['20260901', 10]]
+    ));
+    
+    expect(dashboard.container.querySelector('[data-widget="landingPages"]').textContent)
+      .toContain('Bind a Landing Page dimension and at least one metric');
+  });
+});
+
+describe('redraw', () => {
+  test('ignores an identical payload', async () => {
+    const data = loadFixture('ga4');
+    const dashboard = await render(data);
+    const chart = dashboard.charts.trafficChart;
+    const header = dashboard.container.querySelector('header, h1');
+    
+    dashboard.draw(JSON.parse(JSON.stringify(data)), data.style);
+    jest.runOnlyPendingTimers();
+    
+    expect(dashboard.charts.trafficChart).toBe(chart);
+    expect(chart.updates).toBe(0);
+    expect(dashboard.container.contains(header)).toBe(true);
+  });
+  
+  test('updates charts in place when only the rows change', async () => {
+    const data = loadFixture('ga4');
+    const dashboard = await render(data);
+    const chart = dashboard.charts.trafficChart;
+    
+    const next = JSON.parse(JSON.stringify(data));
+    next.tables.DEFAULT.rows = next.tables.DEFAULT.rows.filter(row => row[1] !== 'mobile');
+    dashboard.draw(next, next.style);
+    jest.runOnlyPendingTimers();
+    
+    expect(dashboard.charts.trafficChart).toBe(chart);
+    expect(chart.updates).toBe(1);
+    expect(chart.destroyed).toBe(false);
+    expect(getKpiValue(dashboard.container, 'Users')).toBe(sumColumn(next, 'totalUsers', '20260901', '20260930').toLocaleString('en-US'));
+  });
+  
+  test('recreates a chart released by an earlier refresh once it has data again', async () => {
+    const dashboard = await render(loadFixture('ga4'));
+    const chart = dashboard.charts.deviceChart;
+    
+    jest.spyOn(dashboard, 'getDeviceChartData').mockReturnValueOnce(null);
+    dashboard.refresh();
+    
+    expect(chart.destroyed).toBe(true);
+    expect(dashboard.charts.deviceChart).toBeUndefined();
+    expect(dashboard.container.querySelector('[data-widget="deviceChart"]').textContent).toContain('Bind a device category dimension');
+    
+    dashboard.refresh();
+    
+    expect(dashboard.charts.deviceChart).not.toBe(chart);
+    expect(dashboard.charts.deviceChart.canvas).toBe(document.getElementById('deviceChart'));
+    expect(dashboard.charts.deviceChart.data.labels).toEqual(chart.data.labels);
+  });
+  
+  test('rebuilds the charts when the bound fields change', async () => {
+    const dashboard = await render(loadFixture('ga4'));
+    const chart = dashboard.charts.trafficChart;
+    
+    dashboard.draw(loadFixture('search-console'), {});
+    jest.runOnlyPendingTimers();
+    
+    expect(chart.destroyed).toBe(true);
+    expect(dashboard.charts.trafficChart).toBeUndefined();
+    expect(dashboard.charts.searchChart).toBeDefined();
+  });
+});
@@ -0,0 +1,106 @@
+const { MarketingDashboard } = require('../myViz');
+const { installChart, createTable, render } = require('./helpers');
+
+jest.useFakeTimers();
+
+const PAYLOAD = '<img src=x onerror="window.injected = true">';
+
+// Every text dimension carries markup, as a crafted query string or campaign name would
+const createMaliciousData = () => {
+  const rows = [];
+  for (let day = 1; day <= 30; day++) {
+    const date = `202609${String(day).padStart(2, '0')}`;
+    rows.push([date, `/landing?q=${PAYLOAD}`, `${PAYLOAD} query`, `Campaign ${PAYLOAD}`, `Group ${PAYLOAD}`, `${PAYLOAD} Search`,
+      100 + day, 0.4, 20, 400, 4.2, 50 + day, 3]);
+    rows.push([date, '/pricing', 'pricing', 'Brand', 'Brand Terms', 'Direct', 80, 0.5, 10, 300, 8.1, 40, 2]);
+  }
+  
+  return createTable([
+    { id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' },
+    { id: 'landingPage', name: 'Landing Page', type: 'TEXT' },
+    { id: 'query', name: 'Query', type: 'TEXT' },
+    { id: 'campaign', name: 'Campaign', type: 'TEXT' },
+    { id: 'adGroup', name: 'Ad Group', type: 'TEXT' },
+    { id: 'channel', name: 'Session Default Channel Group', type: 'TEXT' }
+  ], [
+    { id: 'users', name: 'Users', type: 'NUMBER' },
+    { id: 'bounceRate', name: 'Bounce Rate', type: 'PERCENT' },
+    { id: 'clicks', name: 'Url Clicks', type: 'NUMBER' },
+    { id: 'impressions', name: 'Impressions', type: 'NUMBER' },
+    { id: 'position', name: 'Average Position', type: 'NUMBER' },
+    { id: 'cost', name: 'Cost', type: 'CURRENCY_USD' },
+    { id: 'conversions', name: 'Conversions', type: 'NUMBER' }
+  ], rows);
+};
+
+const expectPlainText = (element) => {
+  expect(element.querySelector('img')).toBeNull();
+  expect(element.textContent).toContain(PAYLOAD);
+  expect(window.injected).toBeUndefined();
+};
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  document.body.innerHTML = '';
+  delete window.injected;
+});
+
+describe('escaping report data', () => {
+  test('renders page paths and queries in tables as text', async () => {
+    const dashboard = await render(createMaliciousData());
+    
+    expectPlainText(dashboard.container.querySelector('[data-widget="landingPages"] tbody'));
+    expectPlainText(dashboard.container.querySelector('[data-widget="searchQueries"] tbody'));
+    expect(dashboard.container.querySelectorAll('img')).toHaveLength(0);
+  });
+  
+  test('renders campaign names in the Ads tab as text, including drill-down titles', async () => {
+    const dashboard = await render(createMaliciousData());
+    
+    expectPlainText(dashboard.container.querySelector('[data-widget="adCampaigns"] tbody'));
+    expectPlainText(dashboard.container.querySelector('[data-section="adsLeaderboard"]'));
+    
+    const row = Array.from(dashboard.container.querySelectorAll('[data-section="adsDrilldown"] tbody tr'))
+      .find(element => element.textContent.includes(PAYLOAD));
+    row.click();
+    
+    const drilldown = dashboard.container.querySelector('[data-section="adsDrilldown"]');
+    expect(drilldown.querySelector('h3').textContent).toBe(`Ad Groups in Campaign ${PAYLOAD}`);
+    expectPlainText(drilldown);
+  });
+  
+  test('renders cross-filter selections as text', async () => {
+    const dashboard = await render(createMaliciousData());
+    
+    dashboard.setCrossFilter('channel', `${PAYLOAD} Search`);
+    dashboard.refresh();
+    
+    expectPlainText(dashboard.container.querySelector('[data-section="filterChips"]'));
+  });
+  
+  test('renders insight text as text', async () => {
+    jest.spyOn(MarketingDashboard.prototype, 'generateInsights').mockReturnValue([
+      { type: 'info', text: `"/landing?q=${PAYLOAD}" has an unusually high bounce rate`, score: 1, widget: 'landingPages' }
+    ]);
+    const dashboard = await render(createMaliciousData());
+    
+    expectPlainText(dashboard.container.querySelector('[data-section="insights"]'));
+  });
+});
+
+describe('escaping error messages', () => {
+  test('renders a thrown error message as text', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(MarketingDashboard.prototype, 'extractData').mockImplementation(() => {
+      throw new Error(`Unexpected field ${PAYLOAD}`);
+    });
+    const dashboard = await render(createMaliciousData());
+    
+    expectPlainText(dashboard.container);
+    expect(dashboard.container.textContent).toContain('Error rendering dashboard: Unexpected field');
+  });
+});
@@ -0,0 +1,130 @@
+const { createTable, installChart, loadFixture, render } = require('./helpers');
+
+jest.useFakeTimers();
+
+// Records what the export draws instead of building a PDF
+class FakePDF {
+  constructor() {
+    this.images = [];
+    this.tables = [];
+    this.texts = [];
+    this.fonts = new Set();
+    this.internal = { pageSize: { getWidth: () => 595, getHeight: () => 842 } };
+    this.lastAutoTable = { finalY: 0 };
+  }
+  
+  addImage(image) {
+    this.images.push(image);
+  }
+  
+  autoTable(options) {
+    this.tables.push({ head: options.head, body: options.body });
+    this.fonts.add(options.styles.font);
+    this.lastAutoTable = { finalY: options.startY + 100 };
+  }
+  
+  text(text) {
+    this.texts.push(text);
+  }
+  
+  splitTextToSize(text) {
+    return [text];
+  }
+  
+  getNumberOfPages() {
+    return 1;
+  }
+  
+  setFont(font) {
+    this.fonts.add(font);
+  }
+  
+  setFontSize() {}
+  setTextColor() {}
+  setDrawColor() {}
+  setFillColor() {}
+  roundedRect() {}
+  addPage() {}
+  setPage() {}
+  save() {}
+}
+
+let pdf;
+
+beforeEach(() => {
+  installChart();
+  window.jspdf = {
+    jsPDF: function () {
+      pdf = new FakePDF();
+      return pdf;
+    }
+  };
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+  delete window.jspdf;
+});
+
+describe('PDF export', () => {
+  test('includes the charts and tables of every tab, not just the active one', async () => {
+    const dashboard = await render(loadFixture('ga4'));
+    const tables = dashboard.container.querySelectorAll('.tab-content table');
+    
+    expect(dashboard.container.querySelector('#ga4').classList.contains('hidden')).toBe(true);
+    await dashboard.exportPDF();
+    
+    // Charts on hidden tabs are redrawn offscreen at a fixed size
+    expect(Object.keys(dashboard.charts).length).toBeGreaterThan(4);
+    expect(pdf.images).toEqual(Object.keys(dashboard.charts).map(() => 'data:image/png;base64,800x360'));
+    expect(pdf.tables).toHaveLength(tables.length);
+    expect(pdf.texts).toEqual(expect.arrayContaining(['Overview', 'Google Analytics']));
+  });
+  
+  test('exports every table row, not just the page shown on screen', async () => {
+    const pages = ['/', '/pricing', '/blog', '/docs', '/about', '/careers', '/contact', '/signup'];
+    const dashboard = await render(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }, { id: 'landingPage', name: 'Landing Page', type: 'TEXT' }],
+      [{ id: 'totalUsers', name: 'Total Users', type: 'NUMBER' }],
+      pages.map((page, i) => ['20260901', page, 1000 * (i + 1)])
+    ));
+    await dashboard.exportPDF();
+    
+    const table = pdf.tables.find(item => item.head[0][0] === 'Page');
+    expect(dashboard.container.querySelectorAll('[data-widget="landingPages"] tbody tr')).toHaveLength(5);
+    expect(table.body).toHaveLength(8);
+    expect(table.body[0]).toEqual(['/signup', '8,000']);
+  });
+  
+  test('leaves the sort arrows out of table headers, which the PDF fonts cannot draw', async () => {
+    const dashboard = await render(loadFixture('ga4'));
+    await dashboard.exportPDF();
+    
+    expect(dashboard.container.querySelectorAll('th[aria-sort]').length).toBeGreaterThan(0);
+    // Helvetica's WinAnsi encoding covers printable Latin-1 only
+    pdf.tables.forEach(table => table.head[0].forEach(text => expect(text).toMatch(/^[\x20-\x7E\xA0-\xFF]*$/)));
+  });
+  
+  test('draws Arabic-script locales in a font that has their glyphs', async () => {
+    const data = loadFixture('ga4');
+    
+    await (await render(data)).exportPDF();
+    expect(Array.from(pdf.fonts)).toEqual(['helvetica']);
+    
+    await (await render(data, Object.assign({}, data.style, { locale: { value: 'ar', defaultValue: 'auto' } }))).exportPDF();
+    expect(Array.from(pdf.fonts)).toEqual(['NotoSansArabic']);
+  });
+  
+  test('names devices outside the translated list by their data value', async () => {
+    const dashboard = await render(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }, { id: 'deviceCategory', name: 'Device Category', type: 'TEXT' }],
+      [{ id: 'totalUsers', name: 'Total Users', type: 'NUMBER' }],
+      [['20260901', 'desktop', 50], ['20260901', 'Smart TV', 7]]
+    ));
+    
+    dashboard.setCrossFilter('device', 'Smart TV');
+    await dashboard.exportPDF();
+    
+    expect(pdf.texts.join('\n')).toContain('Devices: Smart TV');
+  });
+});
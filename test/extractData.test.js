@@ -0,0 +1,140 @@
+const { MarketingDashboard } = require('../myViz');
+const { createTable } = require('./helpers');
+
+const extract = (data, style) => {
+  const dashboard = new MarketingDashboard();
+  dashboard.data = data;
+  dashboard.style = style || data.style;
+  dashboard.extractData();
+  return dashboard;
+};
+
+describe('extractData', () => {
+  test('splits each row into dimension and metric values by column order', () => {
+    const dashboard = extract(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }, { id: 'device', name: 'Device Category', type: 'TEXT' }],
+      [{ id: 'users', name: 'Users', type: 'NUMBER' }, { id: 'bounce', name: 'Bounce Rate', type: 'PERCENT' }],
+      [
+        ['20260901', 'desktop', 120, 0.4],
+        ['20260902', 'mobile', 80, 0.55]
+      ]
+    ));
+    
+    expect(dashboard.rowCount).toBe(2);
+    expect(dashboard.dimensions.map(field => field.values)).toEqual([
+      ['20260901', '20260902'],
+      ['desktop', 'mobile']
+    ]);
+    expect(dashboard.metrics.map(field => field.values)).toEqual([
+      [120, 80],
+      [0.4, 0.55]
+    ]);
+    expect(dashboard.metrics[1]).toMatchObject({ id: 'bounce', name: 'Bounce Rate', type: 'PERCENT' });
+  });
+  
+  test('defaults metric types to NUMBER and leaves dimension types unset', () => {
+    const dashboard = extract(createTable([{ id: 'page', name: 'Page' }], [{ id: 'views', name: 'Views' }], [['/', 5]]));
+    
+    expect(dashboard.dimensions[0].type).toBeNull();
+    expect(dashboard.metrics[0].type).toBe('NUMBER');
+  });
+  
+  test('keeps fields but no values for an empty table', () => {
+    const dashboard = extract(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }],
+      [{ id: 'users', name: 'Users', type: 'NUMBER' }],
+      []
+    ));
+    
+    expect(dashboard.rowCount).toBe(0);
+    expect(dashboard.dimensions[0].values).toEqual([]);
+    expect(dashboard.metrics[0].values).toEqual([]);
+    expect(dashboard.getField('users')).toBe(dashboard.metrics[0]);
+  });
+  
+  test('handles a payload without the DEFAULT table', () => {
+    const dashboard = extract({ tables: {}, style: {} });
+    
+    expect(dashboard.rowCount).toBe(0);
+    expect(dashboard.dimensions).toEqual([]);
+    expect(dashboard.metrics).toEqual([]);
+    expect(dashboard.getField('date')).toBeNull();
+  });
+  
+  test('handles a table without metrics', () => {
+    const dashboard = extract({
+      tables: { DEFAULT: { dimensions: [{ id: 'country', name: 'Country', type: 'TEXT' }], rows: [['Germany'], ['Canada']] } },
+      style: {}
+    });
+    
+    expect(dashboard.metrics).toEqual([]);
+    expect(dashboard.getField('country').values).toEqual(['Germany', 'Canada']);
+    expect(dashboard.aggregateRole('users', [0, 1])).toBeNull();
+  });
+  
+  test('keeps null values and skips them when aggregating', () => {
+    const dashboard = extract(createTable(
+      [{ id: 'channel', name: 'Channel', type: 'TEXT' }],
+      [{ id: 'sessions', name: 'Sessions', type: 'NUMBER' }, { id: 'bounce', name: 'Bounce Rate', type: 'PERCENT' }],
+      [
+        ['Direct', 10, 0.5],
+        ['Direct', null, null],
+        [null, 4, 0.3],
+        ['Referral', null, 0.2]
+      ]
+    ));
+    
+    expect(dashboard.getField('sessions').values).toEqual([10, null, 4, null]);
+    expect(dashboard.aggregateRole('sessions', [0, 1, 2, 3])).toBe(14);
+    expect(dashboard.aggregateRole('bounceRate', [0, 1])).toBe(0.5);
+    expect(dashboard.aggregateRole('sessions', [1, 3])).toBeNull();
+    
+    // Rows without a dimension value don't form a group
+    const rows = dashboard.summarize('channel', ['sessions'], [0, 1, 2, 3]);
+    expect(rows).toEqual([
+      { key: 'Direct', values: { sessions: 10 } },
+      { key: 'Referral', values: { sessions: null } }
+    ]);
+  });
+});
+
+describe('field roles', () => {
+  const dimensions = [
+    { id: 'reportDate', name: 'Reporting Day', type: 'YEAR_MONTH_DAY' },
+    { id: 'sessionDefaultChannelGroup', name: 'Session Default Channel Group', type: 'TEXT' }
+  ];
+  
+  test('matches roles by field name, then field ID, then type', () => {
+    const dashboard = extract(createTable(dimensions, [
+      { id: 'totalUsers', name: 'Total Users', type: 'NUMBER' },
+      { id: 'sessions', name: 'Visits', type: 'NUMBER' }
+    ], []));
+    
+    expect(dashboard.getField('date').id).toBe('reportDate');
+    expect(dashboard.getField('channel').id).toBe('sessionDefaultChannelGroup');
+    expect(dashboard.getField('users').id).toBe('totalUsers');
+    expect(dashboard.getField('sessions').id).toBe('sessions');
+  });
+  
+  test('binds each field to one role only', () => {
+    const dashboard = extract(createTable(dimensions, [
+      { id: 'clicks', name: 'Clicks', type: 'NUMBER' }
+    ], []));
+    
+    expect(dashboard.getField('searchClicks').id).toBe('clicks');
+    expect(dashboard.getField('adClicks')).toBeNull();
+  });
+  
+  test('lets the field mapping style override name matching', () => {
+    const dashboard = extract(createTable(dimensions, [
+      { id: 'clicks', name: 'Clicks', type: 'NUMBER' },
+      { id: 'searchClicks', name: 'Organic Clicks', type: 'NUMBER' }
+    ], []), {
+      mapAdClicks: { value: 'Clicks', defaultValue: '' },
+      mapSearchClicks: { value: 'searchClicks', defaultValue: '' }
+    });
+    
+    expect(dashboard.getField('adClicks').id).toBe('clicks');
+    expect(dashboard.getField('searchClicks').id).toBe('searchClicks');
+  });
+});
@@ -0,0 +1,143 @@
+const { installChart, loadFixture, createTable, render, sumColumn } = require('./helpers');
+
+jest.useFakeTimers();
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+const withBudget = (data, budget) => Object.assign({}, data.style, { monthlyBudget: { value: budget, defaultValue: '' } });
+
+describe('budget pacing', () => {
+  const data = loadFixture('google-ads');
+  const pacing = (dashboard) => dashboard.container.querySelector('[data-section="adsBudget"]');
+  
+  // The fixture ends on September 30th, so the whole month has elapsed
+  const spent = sumColumn(data, 'cost', '20260901', '20260930');
+  
+  test('paces month-to-date spend against the monthly budget', async () => {
+    const dashboard = await render(data, withBudget(data, spent.toFixed(2)));
+    const money = (value) => dashboard.formatMetricValue(value, 'CURRENCY_USD');
+    const card = pacing(dashboard);
+    
+    expect(card.textContent).toContain(`${money(spent)} of ${money(spent)}`);
+    expect(card.textContent).toContain('On track');
+    expect(card.textContent).toContain('day 30 of 30');
+  });
+  
+  test('flags spend running ahead of or behind the budget', async () => {
+    expect(pacing(await render(data, withBudget(data, String(spent / 2)))).textContent).toContain('Overspending');
+    expect(pacing(await render(data, withBudget(data, String(spent * 2)))).textContent).toContain('Underspending');
+  });
+  
+  test('asks for a budget when none is set', async () => {
+    const dashboard = await render(data, withBudget(data, ''));
+    
+    expect(pacing(dashboard).textContent).toContain('Set a monthly budget');
+  });
+  
+  test('rejects locale-formatted budgets instead of misreading them', async () => {
+    for (const budget of ['1.000,50', '1 000,5', '15k', '-200']) {
+      const dashboard = await render(data, withBudget(data, budget));
+      
+      expect(pacing(dashboard).textContent).toContain(`"${budget}" is not a valid monthly budget`);
+      document.body.innerHTML = '';
+    }
+  });
+});
+
+describe('campaign drill-down', () => {
+  const data = loadFixture('google-ads');
+  const drilldown = (dashboard) => dashboard.container.querySelector('[data-section="adsDrilldown"]');
+  const keys = (dashboard) => Array.from(drilldown(dashboard).querySelectorAll('tbody tr')).map(row => row.cells[0].textContent.trim());
+  const click = (dashboard, key) => Array.from(drilldown(dashboard).querySelectorAll('tbody tr'))
+    .find(row => row.cells[0].textContent.trim() === key)
+    .dispatchEvent(new Event('click'));
+  
+  test('drills from campaigns to ad groups to keywords', async () => {
+    const dashboard = await render(data);
+    
+    expect(keys(dashboard).slice().sort()).toEqual(['Brand - Search', 'Display - Prospecting', 'Generic - Search', 'Remarketing']);
+    expect(drilldown(dashboard).textContent).toContain('Click a row to see its ad groups.');
+    
+    click(dashboard, 'Generic - Search');
+    expect(drilldown(dashboard).querySelector('h3').textContent).toBe('Ad Groups in Generic - Search');
+    expect(keys(dashboard).slice().sort()).toEqual(['Analytics', 'Reporting']);
+    
+    click(dashboard, 'Reporting');
+    expect(drilldown(dashboard).querySelector('h3').textContent).toBe('Keywords in Reporting');
+    expect(keys(dashboard)).toEqual(['seo reporting tool']);
+    
+    // Keywords are the last level, so their rows don't drill further
+    expect(drilldown(dashboard).querySelector('tr.cursor-pointer')).toBeNull();
+  });
+  
+  test('totals each level over the rows of its parent', async () => {
+    const dashboard = await render(data);
+    const money = (value) => dashboard.formatMetricValue(value, 'CURRENCY_USD');
+    const cost = data.tables.DEFAULT.rows
+      .filter(row => row[0] >= '20260901' && row[2] === 'Brand Terms' && row[3] === 'marketing dashboard')
+      .reduce((sum, row) => sum + row[5], 0);
+    
+    click(dashboard, 'Brand - Search');
+    click(dashboard, 'Brand Terms');
+    
+    const row = Array.from(drilldown(dashboard).querySelectorAll('tbody tr')).find(item => item.cells[0].textContent.trim() === 'marketing dashboard');
+    expect(row.cells[1].textContent.trim()).toBe(money(cost));
+  });
+  
+  test('climbs back up through the breadcrumb', async () => {
+    const dashboard = await render(data);
+    click(dashboard, 'Generic - Search');
+    click(dashboard, 'Analytics');
+    
+    const crumbs = () => Array.from(drilldown(dashboard).querySelectorAll('nav button'));
+    expect(crumbs().map(crumb => crumb.textContent)).toEqual(['All campaigns', 'Generic - Search']);
+    
+    crumbs()[1].dispatchEvent(new Event('click'));
+    expect(keys(dashboard).slice().sort()).toEqual(['Analytics', 'Reporting']);
+    
+    crumbs()[0].dispatchEvent(new Event('click'));
+    expect(drilldown(dashboard).querySelector('nav')).toBeNull();
+    expect(keys(dashboard)).toHaveLength(4);
+  });
+});
+
+describe('cost-per-conversion leaderboard', () => {
+  const leaderboard = (dashboard) => Array.from(dashboard.container.querySelectorAll('[data-section="adsLeaderboard"] li'));
+  const name = (item) => item.querySelector('p').textContent.trim();
+  
+  test('ranks campaigns from cheapest to most expensive conversion', async () => {
+    const dashboard = await render(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }, { id: 'campaign', name: 'Campaign', type: 'TEXT' }],
+      [{ id: 'cost', name: 'Cost', type: 'CURRENCY_USD' }, { id: 'conversions', name: 'Conversions', type: 'NUMBER' }],
+      [
+        ['20260930', 'Display', 300, 5],
+        ['20260930', 'Brand', 60, 4],
+        ['20260929', 'Brand', 40, 6],
+        ['20260930', 'Video', 50, 0],
+        ['20260930', 'Paused', 0, 0]
+      ]
+    ));
+    const items = leaderboard(dashboard);
+    
+    // Campaigns without spend are left out; those without conversions rank last
+    expect(items.map(name)).toEqual(['Brand', 'Display', 'Video']);
+    expect(items[0].textContent).toContain(dashboard.formatMetricValue(10, 'CURRENCY_USD'));
+    expect(items[1].textContent).toContain(dashboard.formatMetricValue(60, 'CURRENCY_USD'));
+    expect(items[2].textContent).toContain('No conversions');
+    expect(items[0].classList.contains('bg-green-50')).toBe(true);
+    expect(items[1].classList.contains('bg-red-50')).toBe(true);
+  });
+  
+  test('asks for the campaign, spend and conversion fields when they are not bound', async () => {
+    const dashboard = await render(loadFixture('ga4'));
+    
+    expect(dashboard.container.querySelector('[data-section="adsLeaderboard"]').textContent)
+      .toContain('Bind a campaign dimension, Ad Spend and Ad Conversions to rank campaigns');
+  });
+});
@@ -0,0 +1,115 @@
+const { installChart, loadFixture, createTable, render, sumColumn, getKpiValue } = require('./helpers');
+
+jest.useFakeTimers();
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+// Displayed cell text of a table widget, row by row
+const cells = (dashboard, widget) => Array.from(dashboard.container.querySelectorAll(`[data-widget="${widget}"] tbody tr`))
+  .map(row => Array.from(row.cells).map(cell => cell.textContent.trim()));
+
+describe('Google Analytics tab', () => {
+  const data = loadFixture('ga4');
+  const september = data.tables.DEFAULT.rows.filter(row => row[0] >= '20260901');
+  
+  // Engagement rate over a set of fixture rows, weighted by sessions
+  const engagementRate = (rows) => rows.reduce((sum, row) => sum + row[8] * row[6], 0) / rows.reduce((sum, row) => sum + row[6], 0);
+  
+  test('shows users, new users and sessions for the current period', async () => {
+    const dashboard = await render(data);
+    const kpis = dashboard.container.querySelector('[data-section="ga4KPIs"]');
+    
+    expect(getKpiValue(kpis, 'Users')).toBe(sumColumn(data, 'totalUsers', '20260901', '20260930').toLocaleString('en-US'));
+    expect(getKpiValue(kpis, 'New Users')).toBe(sumColumn(data, 'newUsers', '20260901', '20260930').toLocaleString('en-US'));
+    expect(getKpiValue(kpis, 'Sessions')).toBe(sumColumn(data, 'sessions', '20260901', '20260930').toLocaleString('en-US'));
+  });
+  
+  test('trends users, new users, sessions and engagement rate by day', async () => {
+    const dashboard = await render(data);
+    const chart = dashboard.charts.ga4TrendChart;
+    const dataset = (role) => chart.data.datasets.find(item => item.role === role);
+    
+    expect(chart.data.labels).toHaveLength(30);
+    expect(dataset('users').data.reduce((sum, value) => sum + value, 0)).toBe(sumColumn(data, 'totalUsers', '20260901', '20260930'));
+    expect(dataset('newUsers').data[29]).toBe(sumColumn(data, 'newUsers', '20260930', '20260930'));
+    expect(dataset('sessions').data[29]).toBe(sumColumn(data, 'sessions', '20260930', '20260930'));
+    
+    // Rates sit on their own axis and are weighted by sessions, not averaged per row
+    expect(dataset('engagementRate').yAxisID).toBe('y1');
+    expect(dataset('engagementRate').data[29]).toBeCloseTo(engagementRate(september.filter(row => row[0] === '20260930')), 10);
+  });
+  
+  test('breaks engagement down by channel, most engaged first', async () => {
+    const dashboard = await render(data);
+    const chart = dashboard.charts.ga4EngagementChart;
+    const rates = chart.data.datasets.find(item => item.role === 'engagementRate').data;
+    
+    expect(chart.data.labels.slice().sort()).toEqual(Array.from(new Set(september.map(row => row[2]))).sort());
+    expect(rates).toEqual(rates.slice().sort((a, b) => b - a));
+    chart.data.labels.forEach((channel, i) => {
+      expect(rates[i]).toBeCloseTo(engagementRate(september.filter(row => row[2] === channel)), 10);
+    });
+  });
+  
+  test('asks for the dimensions the fixture does not bind', async () => {
+    const dashboard = await render(data);
+    
+    expect(dashboard.container.querySelector('[data-widget="ga4Pages"]').textContent)
+      .toContain('Bind a Page dimension and at least one metric to see this table');
+    expect(dashboard.container.querySelector('[data-widget="ga4Pages"] table')).toBeNull();
+  });
+  
+  describe('pages, events and attribution', () => {
+    const report = createTable(
+      [
+        { id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' },
+        { id: 'pagePath', name: 'Page Path', type: 'TEXT' },
+        { id: 'eventName', name: 'Event Name', type: 'TEXT' },
+        { id: 'sessionSourceMedium', name: 'Session Source / Medium', type: 'TEXT' }
+      ],
+      [
+        { id: 'totalUsers', name: 'Total Users', type: 'NUMBER' },
+        { id: 'sessions', name: 'Sessions', type: 'NUMBER' },
+        { id: 'screenPageViews', name: 'Views', type: 'NUMBER' },
+        { id: 'eventCount', name: 'Event Count', type: 'NUMBER' },
+        { id: 'keyEvents', name: 'Key Events', type: 'NUMBER' }
+      ],
+      [
+        ['20260930', '/', 'page_view', 'google / organic', 40, 50, 120, 300, 0],
+        ['20260930', '/pricing', 'page_view', 'google / cpc', 10, 12, 30, 80, 0],
+        ['20260930', '/pricing', 'purchase', 'google / cpc', 5, 5, 5, 5, 5],
+        ['20260930', '/', 'purchase', 'newsletter / email', 3, 3, 3, 3, 3]
+      ]
+    );
+    
+    test('lists top pages by views with only the bound columns', async () => {
+      const dashboard = await render(report);
+      
+      expect(Array.from(dashboard.container.querySelectorAll('[data-widget="ga4Pages"] th')).map(th => th.textContent.trim()))
+        .toEqual(['Page', 'Views', 'Users']);
+      expect(cells(dashboard, 'ga4Pages')).toEqual([['/', '123', '43'], ['/pricing', '35', '15']]);
+    });
+    
+    test('totals events and key events by event name', async () => {
+      const dashboard = await render(report);
+      
+      expect(cells(dashboard, 'ga4Events')).toEqual([['page_view', '380', '0', '50'], ['purchase', '8', '8', '8']]);
+    });
+    
+    test('attributes sessions to source / medium', async () => {
+      const dashboard = await render(report);
+      
+      expect(cells(dashboard, 'ga4SourceMedium').map(row => row.slice(0, 2))).toEqual([
+        ['google / organic', '50'],
+        ['google / cpc', '17'],
+        ['newsletter / email', '3']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { createTable, installChart, loadFixture, render, sumColumn } = require('./helpers');
+
+jest.useFakeTimers();
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+const at = (year, month, day) => new Date(year, month - 1, day).getTime();
+
+const pick = (dashboard, id, granularity) => {
+  dashboard.container.querySelector(`[data-granularity-toggle="${id}"] [data-granularity="${granularity}"]`).click();
+};
+
+const change = (element, value) => {
+  element.value = value;
+  element.dispatchEvent(new Event('change'));
+};
+
+const dataset = (chart, role) => chart.data.datasets.find(item => item.role === role);
+
+// Impression-weighted average of a fixture column over [from, to]
+const weightedColumn = (data, id, weightId, from, to) => {
+  const table = data.tables.DEFAULT;
+  const fields = table.dimensions.concat(table.metrics);
+  const column = fields.findIndex(field => field.id === id);
+  const weight = fields.findIndex(field => field.id === weightId);
+  const rows = table.rows.filter(row => row[0] >= from && row[0] <= to);
+  
+  return rows.reduce((sum, row) => sum + row[column] * row[weight], 0) /
+    rows.reduce((sum, row) => sum + row[weight], 0);
+};
+
+describe('trend chart granularity', () => {
+  const data = loadFixture('ga4');
+  
+  test('re-buckets the current period into ISO weeks, months and quarters', async () => {
+    const dashboard = await render(data);
+    const chart = dashboard.charts.trafficChart;
+    const buttons = Array.from(dashboard.container.querySelectorAll('[data-granularity-toggle="trafficChart"] button'));
+    
+    expect(buttons.map(button => button.getAttribute('data-granularity'))).toEqual(['day', 'week', 'month', 'quarter']);
+    expect(chart.options.scales.x).toMatchObject({ type: 'time', time: { unit: 'day' } });
+    
+    // September 1st 2026 is a Tuesday, so the first week starts on August 31st
+    pick(dashboard, 'trafficChart', 'week');
+    expect(chart.options.scales.x.time.unit).toBe('week');
+    expect(chart.data.labels).toEqual([at(2026, 8, 31), at(2026, 9, 7), at(2026, 9, 14), at(2026, 9, 21), at(2026, 9, 28)]);
+    expect(dataset(chart, 'users').data[0]).toBe(sumColumn(data, 'totalUsers', '20260901', '20260906'));
+    expect(buttons[1].getAttribute('aria-pressed')).toBe('true');
+    
+    pick(dashboard, 'trafficChart', 'quarter');
+    expect(chart.data.labels).toEqual([at(2026, 7, 1)]);
+    expect(dataset(chart, 'users').data).toEqual([sumColumn(data, 'totalUsers', '20260901', '20260930')]);
+    
+    // Other trend charts keep their own granularity
+    expect(dashboard.charts.ga4TrendChart.data.labels).toHaveLength(30);
+  });
+  
+  test('averages rates weighted by their base metric', async () => {
+    const dashboard = await render(data);
+    const chart = dashboard.charts.ga4TrendChart;
+    
+    pick(dashboard, 'ga4TrendChart', 'month');
+    expect(dataset(chart, 'engagementRate').data[0])
+      .toBeCloseTo(weightedColumn(data, 'engagementRate', 'sessions', '20260901', '20260930'), 10);
+    
+    const search = loadFixture('search-console');
+    const gsc = await render(search);
+    pick(gsc, 'gscTrendChart', 'month');
+    expect(dataset(gsc.charts.gscTrendChart, 'searchCtr').data[0])
+      .toBeCloseTo(sumColumn(search, 'clicks', '20260901', '20260930') / sumColumn(search, 'impressions', '20260901', '20260930'), 10);
+    expect(dataset(gsc.charts.gscTrendChart, 'position').data[0])
+      .toBeCloseTo(weightedColumn(search, 'position', 'impressions', '20260901', '20260930'), 10);
+  });
+  
+  test('keeps the picked granularity across filter changes and only forecasts daily', async () => {
+    // Data ending mid-month, so there is something left to forecast
+    const partial = JSON.parse(JSON.stringify(data));
+    partial.tables.DEFAULT.rows = partial.tables.DEFAULT.rows.filter(row => row[0] <= '20260920');
+    const style = Object.assign({}, data.style, { forecastHorizon: { value: 'month', defaultValue: 'none' } });
+    const dashboard = await render(partial, style);
+    const forecasts = () => dashboard.charts.trafficChart.data.datasets.filter(item => item.bands);
+    
+    expect(forecasts()).not.toHaveLength(0);
+    // Daily users don't sum to a period total, so only sessions are projected
+    expect(forecasts().map(item => item.role)).toEqual(['sessions']);
+    
+    // A period ending before the latest data has nothing to project
+    change(dashboard.container.querySelector('#dateRange'), 'custom');
+    change(dashboard.container.querySelector('#dateRangeEnd'), '2026-09-10');
+    expect(forecasts()).toHaveLength(0);
+    
+    change(dashboard.container.querySelector('#dateRangeEnd'), '2026-09-20');
+    expect(forecasts()).not.toHaveLength(0);
+    
+    pick(dashboard, 'trafficChart', 'month');
+    expect(forecasts()).toHaveLength(0);
+    
+    change(dashboard.container.querySelector('#dateRange'), '90');
+    
+    expect(dashboard.charts.trafficChart.data.labels).toEqual([at(2026, 7, 1), at(2026, 8, 1), at(2026, 9, 1)]);
+    expect(dashboard.getChartDataset('trafficChart').rows[0][0]).toBe('Jul 2026');
+  });
+});
+
+describe('coarse date fields', () => {
+  test('stores month values as their first day and offers no finer granularity', async () => {
+    const data = createTable(
+      [{ id: 'month', name: 'Month', type: 'YEAR_MONTH' }],
+      [{ id: 'users', name: 'Users', type: 'NUMBER' }],
+      [['202606', 80], ['202607', 100], ['202608', 120], ['202609', 90]]
+    );
+    const dashboard = await render(data);
+    const buttons = dashboard.container.querySelectorAll('[data-granularity-toggle="trafficChart"] button');
+    
+    expect(dashboard.getField('date').values).toEqual(['20260601', '20260701', '20260801', '20260901']);
+    expect(Array.from(buttons).map(button => button.getAttribute('data-granularity'))).toEqual(['month', 'quarter']);
+    expect(dashboard.charts.trafficChart.options.scales.x.time.unit).toBe('month');
+    
+    pick(dashboard, 'trafficChart', 'quarter');
+    dashboard.dateRange = '365';
+    dashboard.refresh();
+    expect(dataset(dashboard.charts.trafficChart, 'users').data).toEqual([80, 310]);
+  });
+  
+  test('reads week numbers as ISO weeks', async () => {
+    const data = createTable(
+      [{ id: 'week', name: 'Week', type: 'YEAR_WEEK' }],
+      [{ id: 'users', name: 'Users', type: 'NUMBER' }],
+      [['202601', 10], ['202636', 20]]
+    );
+    const dashboard = await render(data);
+    
+    expect(dashboard.getField('date').values).toEqual(['20251229', '20260831']);
+  });
+});
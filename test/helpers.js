@@ -0,0 +1,94 @@
+// Shared setup for the dashboard tests: a Chart stand-in, fixture loading and rendering
+const fs = require('fs');
+const path = require('path');
+const { MarketingDashboard } = require('../myViz');
+
+// jsdom has no canvas, so charts only record the config they were created with
+class FakeChart {
+  constructor(canvas, config) {
+    this.canvas = canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    this.updates = 0;
+    this.destroyed = false;
+  }
+  
+  update() {
+    this.updates++;
+  }
+  
+  destroy() {
+    this.destroyed = true;
+  }
+  
+  getElementsAtEventForMode() {
+    return [];
+  }
+  
+  toBase64Image() {
+    return `data:image/png;base64,${this.canvas.width}x${this.canvas.height}`;
+  }
+}
+
+const installChart = () => {
+  FakeChart.defaults = { font: {}, plugins: { tooltip: {}, legend: { labels: {} } } };
+  global.Chart = FakeChart;
+};
+
+// Fixtures are shared with the dev harness (dev/fixtures)
+const loadFixture = (name) => {
+  const file = path.join(__dirname, '..', 'dev', 'fixtures', `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const createTable = (dimensions, metrics, rows) => {
+  return { tables: { DEFAULT: { dimensions, metrics, rows } }, style: {} };
+};
+
+const createDashboard = async () => {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  
+  const dashboard = new MarketingDashboard();
+  await dashboard.initialize(container);
+  return dashboard;
+};
+
+// Draw and run the deferred chart initialization (tests use fake timers)
+const render = async (data, style) => {
+  const dashboard = await createDashboard();
+  dashboard.draw(data, style || data.style);
+  jest.runOnlyPendingTimers();
+  return dashboard;
+};
+
+// Sum a fixture column over rows whose YYYYMMDD date falls within [from, to]
+const sumColumn = (data, id, from, to) => {
+  const table = data.tables.DEFAULT;
+  const fields = table.dimensions.concat(table.metrics);
+  const column = fields.findIndex(field => field.id === id);
+  const dateColumn = table.dimensions.findIndex(field => field.type === 'YEAR_MONTH_DAY');
+  
+  return table.rows
+    .filter(row => row[dateColumn] >= from && row[dateColumn] <= to)
+    .reduce((sum, row) => sum + row[column], 0);
+};
+
+// KPI cards are found by their label; returns the displayed value
+const getKpiValue = (container, label) => {
+  const card = Array.from(container.querySelectorAll('.scorecard'))
+    .find(element => element.querySelector('p').textContent.trim() === label);
+  return card ? card.querySelector('h3').textContent.trim() : null;
+};
+
+module.exports = {
+  FakeChart,
+  installChart,
+  loadFixture,
+  createTable,
+  createDashboard,
+  render,
+  sumColumn,
+  getKpiValue
+};
@@ -0,0 +1,73 @@
+const { FakeChart, installChart, loadFixture, render, sumColumn, getKpiValue } = require('./helpers');
+
+jest.useFakeTimers();
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+// Intl separates numbers from units with (narrow) no-break spaces
+const plain = (text) => text.replace(/\s/g, ' ');
+
+const withLocale = (data, locale) => Object.assign({}, data.style, { locale: { value: locale, defaultValue: 'auto' } });
+
+describe('locale', () => {
+  const data = loadFixture('ga4');
+  
+  test('defaults to the browser language', async () => {
+    const dashboard = await render(data);
+    
+    expect(dashboard.locale).toBe(navigator.language);
+    expect(dashboard.container.getAttribute('lang')).toBe(navigator.language);
+    expect(dashboard.container.getAttribute('dir')).toBe('ltr');
+  });
+  
+  test('translates the UI and formats numbers and dates for the chosen locale', async () => {
+    const dashboard = await render(data, withLocale(data, 'de-DE'));
+    const users = sumColumn(data, 'totalUsers', '20260901', '20260930');
+    const periods = dashboard.getPeriods();
+    const range = new Intl.DateTimeFormat('de-DE', { month: 'short', day: 'numeric', year: 'numeric' })
+      .formatRange(periods.current.start, periods.current.end);
+    
+    expect(dashboard.container.querySelector('h1').textContent).toBe('Digital-Marketing-Dashboard');
+    expect(getKpiValue(dashboard.container, 'Nutzer')).toBe(users.toLocaleString('de-DE'));
+    expect(dashboard.container.querySelector('[data-period="current"]').textContent).toContain(range);
+    expect(plain(dashboard.formatMetricValue(1234.5, 'CURRENCY_EUR'))).toBe('1.235 €');
+    expect(plain(dashboard.formatMetricValue(0.256, 'PERCENT'))).toBe('25,6 %');
+    expect(plain(dashboard.formatChange(110, 100, { change: 'relative' }).text)).toBe('+10,0 %');
+  });
+  
+  test('falls back to English strings for languages without a catalog', async () => {
+    const dashboard = await render(data, withLocale(data, 'it-IT'));
+    const users = sumColumn(data, 'totalUsers', '20260901', '20260930');
+    
+    expect(dashboard.language).toBe('en');
+    expect(dashboard.container.querySelector('h1').textContent).toBe('Digital Marketing Analytics Dashboard');
+    expect(getKpiValue(dashboard.container, 'Users')).toBe(users.toLocaleString('it-IT'));
+    expect(dashboard.t('missing.key')).toBe('missing.key');
+  });
+  
+  test('lays the dashboard out right to left for Arabic', async () => {
+    const dashboard = await render(data, withLocale(data, 'ar'));
+    
+    expect(dashboard.container.getAttribute('dir')).toBe('rtl');
+    expect(dashboard.container.getAttribute('lang')).toBe('ar');
+    expect(FakeChart.defaults.locale).toBe('ar');
+    expect(FakeChart.defaults.plugins.legend.rtl).toBe(true);
+    expect(FakeChart.defaults.plugins.tooltip.rtl).toBe(true);
+    expect(dashboard.container.querySelector('[data-tab="overview"]').textContent.trim()).toBe('نظرة عامة');
+  });
+  
+  test('rebuilds in the new language when the locale option changes', async () => {
+    const dashboard = await render(data);
+    dashboard.draw(data, withLocale(data, 'fr-FR'));
+    jest.runOnlyPendingTimers();
+    
+    expect(dashboard.container.querySelector('h1').textContent).toBe('Tableau de bord du marketing digital');
+    expect(dashboard.charts.trafficChart.data.datasets[0].label).toBe('Utilisateurs');
+  });
+});
@@ -0,0 +1,100 @@
+const { installChart, loadFixture, createTable, render, sumColumn, getKpiValue } = require('./helpers');
+
+jest.useFakeTimers();
+
+beforeEach(() => {
+  installChart();
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('Search Console tab', () => {
+  const data = loadFixture('search-console');
+  const september = data.tables.DEFAULT.rows.filter(row => row[0] >= '20260901');
+  
+  // Clicks, impressions and impression-weighted position per value of a fixture column
+  const totalsBy = (column) => {
+    const totals = new Map();
+    september.forEach(row => {
+      const total = totals.get(row[column]) || { clicks: 0, impressions: 0, weighted: 0 };
+      total.clicks += row[4];
+      total.impressions += row[5];
+      total.weighted += row[7] * row[5];
+      totals.set(row[column], total);
+    });
+    return totals;
+  };
+  
+  test('shows clicks and impressions for the current period', async () => {
+    const dashboard = await render(data);
+    const kpis = dashboard.container.querySelector('[data-section="gscKPIs"]');
+    
+    expect(getKpiValue(kpis, 'Search Clicks')).toBe(sumColumn(data, 'clicks', '20260901', '20260930').toLocaleString('en-US'));
+    expect(getKpiValue(kpis, 'Impressions')).toBe(sumColumn(data, 'impressions', '20260901', '20260930').toLocaleString('en-US'));
+  });
+  
+  test('ranks queries by clicks with CTR recomputed from the totals', async () => {
+    const dashboard = await render(data);
+    const rows = Array.from(dashboard.container.querySelectorAll('[data-widget="gscQueries"] tbody tr'));
+    const queries = Array.from(totalsBy(1)).sort((a, b) => b[1].clicks - a[1].clicks);
+    const [query, top] = queries[0];
+    
+    expect(rows).toHaveLength(queries.length);
+    expect(rows[0].cells[0].textContent.trim()).toBe(query);
+    expect(rows[0].cells[1].textContent.trim()).toBe(top.clicks.toLocaleString('en-US'));
+    expect(rows[0].cells[3].textContent.trim()).toBe(dashboard.formatMetricValue(top.clicks / top.impressions, 'PERCENT'));
+  });
+  
+  test('counts queries per position bucket by their impression-weighted position', async () => {
+    const dashboard = await render(data);
+    const chart = dashboard.charts.gscPositionChart;
+    const buckets = [3, 10, 20, Infinity];
+    const expected = buckets.map(() => 0);
+    totalsBy(1).forEach(total => expected[buckets.findIndex(max => total.weighted / total.impressions <= max)]++);
+    
+    expect(chart.data.labels).toEqual(['1–3', '4–10', '11–20', '21+']);
+    expect(chart.data.datasets[0].data).toEqual(expected);
+  });
+  
+  test('breaks clicks down by country, biggest first', async () => {
+    const dashboard = await render(data);
+    const chart = dashboard.charts.gscCountryChart;
+    const countries = Array.from(totalsBy(2)).sort((a, b) => b[1].clicks - a[1].clicks);
+    
+    expect(chart.data.labels).toEqual(countries.map(([country]) => country));
+    expect(chart.data.datasets[0].data).toEqual(countries.map(([, total]) => total.clicks));
+  });
+  
+  test('asks for a search appearance dimension when none is bound', async () => {
+    const dashboard = await render(data);
+    
+    expect(dashboard.charts.gscAppearanceChart).toBeUndefined();
+    expect(dashboard.container.querySelector('#gsc').textContent)
+      .toContain('Bind a search appearance dimension and Clicks or Impressions to see the appearance breakdown');
+  });
+  
+  test('highlights pages whose CTR is far off the typical CTR for their position', async () => {
+    const dashboard = await render(createTable(
+      [{ id: 'date', name: 'Date', type: 'YEAR_MONTH_DAY' }, { id: 'landingPage', name: 'Landing Page', type: 'TEXT' }],
+      [
+        { id: 'clicks', name: 'Clicks', type: 'NUMBER' },
+        { id: 'impressions', name: 'Impressions', type: 'NUMBER' },
+        { id: 'position', name: 'Position', type: 'NUMBER' }
+      ],
+      [
+        ['20260930', '/low', 50, 1000, 1],
+        ['20260930', '/high', 200, 1000, 8],
+        ['20260930', '/typical', 110, 1000, 3]
+      ]
+    ));
+    const rows = Array.from(dashboard.container.querySelectorAll('[data-widget="gscPages"] tbody tr'));
+    
+    expect(rows.map(row => [row.cells[0].textContent.trim(), row.className])).toEqual([
+      ['/high', 'bg-green-50'],
+      ['/typical', ''],
+      ['/low', 'bg-yellow-50']
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+const { MarketingDashboard } = require('../myViz');
+const { installChart, loadFixture, createDashboard, render } = require('./helpers');
+
+jest.useFakeTimers();
+
+const getError = (container) => {
+  const heading = Array.from(container.querySelectorAll('h3')).find(element => element.textContent === 'Error');
+  return heading ? heading.parentElement.querySelector('p').textContent : null;
+};
+
+beforeEach(() => {
+  installChart();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  document.body.innerHTML = '';
+});
+
+describe('showError', () => {
+  test('reports missing libraries and ignores later draws', async () => {
+    delete global.Chart;
+    const container = document.createElement('div');
+    const dashboard = new MarketingDashboard();
+    await dashboard.initialize(container);
+    
+    expect(getError(container)).toBe('Failed to load required libraries');
+    
+    dashboard.draw(loadFixture('ga4'), {});
+    jest.runOnlyPendingTimers();
+    expect(getError(container)).toBe('Failed to load required libraries');
+    expect(container.querySelector('.scorecard')).toBeNull();
+  });
+  
+  test('replaces the dashboard with the error when rendering fails', async () => {
+    const dashboard = await createDashboard();
+    const data = loadFixture('ga4');
+    data.tables.DEFAULT.rows.push(null);
+    
+    dashboard.draw(data, data.style);
+    
+    expect(getError(dashboard.container)).toMatch(/^Error rendering dashboard: /);
+    expect(dashboard.container.querySelector('.scorecard')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Error rendering dashboard:', expect.any(TypeError));
+  });
+  
+  test('recovers with a full rebuild on the next valid payload', async () => {
+    const dashboard = await render(loadFixture('ga4'));
+    const broken = loadFixture('ga4');
+    broken.tables.DEFAULT.rows.push(null);
+    
+    dashboard.draw(broken, broken.style);
+    expect(getError(dashboard.container)).not.toBeNull();
+    
+    // Same fields as before the error, so this must rebuild rather than refresh the wiped sections
+    dashboard.draw(loadFixture('ga4'), {});
+    jest.runOnlyPendingTimers();
+    
+    expect(getError(dashboard.container)).toBeNull();
+    expect(dashboard.container.querySelector('.scorecard')).not.toBeNull();
+    expect(dashboard.charts.trafficChart.destroyed).toBe(false);
+  });
+});